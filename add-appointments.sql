@@ -0,0 +1,52 @@
+-- Create appointments table for technician visits booked after contact
+-- A technician cannot hold two scheduled appointments in overlapping slots
+
+-- Needed for the overlap exclusion constraint on (technician_id, slot)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS appointments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  callback_id TEXT NOT NULL REFERENCES callback_requests(id) ON DELETE CASCADE,
+  technician_id INTEGER NOT NULL REFERENCES workers(id),
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'America/New_York',
+  address TEXT NOT NULL,
+  appliance JSONB NOT NULL DEFAULT '{}',
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+  outcome TEXT CHECK (outcome IN ('repaired', 'needs_parts', 'not_repairable', 'customer_no_show', 'other')),
+  outcome_notes TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  cancellation_reason TEXT,
+  cancelled_by TEXT,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE,
+  CHECK (ends_at > starts_at),
+  -- Backstop for bookings that race past the API's conflict check
+  CONSTRAINT appointments_no_overlap EXCLUDE USING gist (
+    technician_id WITH =,
+    tstzrange(starts_at, ends_at) WITH &&
+  ) WHERE (status = 'scheduled')
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_callback
+ON appointments(callback_id, starts_at);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_technician_schedule
+ON appointments(technician_id, starts_at)
+WHERE status = 'scheduled';
+
+-- Enable RLS with service role access, like callback_requests
+ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable all access for service role" ON appointments
+FOR ALL USING (auth.role() = 'service_role');
+
+-- Add comments for documentation
+COMMENT ON TABLE appointments IS 'Technician visits booked for callback requests';
+COMMENT ON COLUMN appointments.timezone IS 'Timezone the slot is shown in';
+COMMENT ON COLUMN appointments.appliance IS 'Appliance details: { type, brand, model, issue }';
+COMMENT ON COLUMN appointments.outcome IS 'Result of the visit, set when the appointment is completed';
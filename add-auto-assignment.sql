@@ -0,0 +1,20 @@
+-- Add fields for automatic assignment
+-- Workers get working hours and a rotation timestamp; callbacks record whether
+-- they were assigned automatically
+
+ALTER TABLE workers
+ADD COLUMN IF NOT EXISTS working_hours JSONB,
+ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS auto_assigned BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Least-loaded assignment counts open callbacks per worker
+CREATE INDEX IF NOT EXISTS idx_callback_requests_worker_open
+ON callback_requests(assigned_worker_id)
+WHERE status IN ('pending', 'in_progress', 'contacted') AND deleted_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN workers.working_hours IS 'Shifts as {"timezone": "...", "mon": "09:00-18:00", ...}; NULL = always available';
+COMMENT ON COLUMN workers.last_assigned_at IS 'Last automatic assignment, used for round-robin';
+COMMENT ON COLUMN callback_requests.auto_assigned IS 'Assigned by the assignment engine rather than a person';
@@ -0,0 +1,34 @@
+-- Add searchable UTM columns and indexes for list filters on callback_requests
+-- fromwhichutm is stored as text, so source and campaign get their own columns
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS utm_source TEXT,
+ADD COLUMN IF NOT EXISTS utm_campaign TEXT;
+
+-- Backfill from existing UTM JSON
+UPDATE callback_requests
+SET utm_source = fromwhichutm::jsonb ->> 'source',
+    utm_campaign = fromwhichutm::jsonb ->> 'campaign'
+WHERE fromwhichutm ~ '^\s*\{'
+  AND utm_source IS NULL
+  AND utm_campaign IS NULL;
+
+-- Trigram indexes for partial name/phone search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_name_trgm
+ON callback_requests USING gin (name gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_phone_trgm
+ON callback_requests USING gin (phone_normalized gin_trgm_ops);
+
+-- Indexes for equality filters
+CREATE INDEX IF NOT EXISTS idx_callback_requests_status_created
+ON callback_requests(status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_utm
+ON callback_requests(utm_source, utm_campaign);
+
+-- Add comments for documentation
+COMMENT ON COLUMN callback_requests.utm_source IS 'UTM source extracted from fromwhichutm';
+COMMENT ON COLUMN callback_requests.utm_campaign IS 'UTM campaign extracted from fromwhichutm';
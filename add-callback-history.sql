@@ -0,0 +1,43 @@
+-- Create append-only change history for callback requests
+-- One row per changed field: who changed it, from where, old and new value
+
+CREATE TABLE IF NOT EXISTS callback_history (
+  id BIGSERIAL PRIMARY KEY,
+  callback_id TEXT NOT NULL,
+  event TEXT NOT NULL DEFAULT 'update',
+  field TEXT NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+  actor TEXT,
+  actor_id TEXT,
+  source TEXT NOT NULL CHECK (source IN ('api', 'telegram', 'bulk', 'system')),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- No foreign key: the history must outlive a deleted callback
+CREATE INDEX IF NOT EXISTS idx_callback_history_callback
+ON callback_history(callback_id, created_at);
+
+-- Enforce append-only: history rows can never be changed or removed
+CREATE OR REPLACE FUNCTION prevent_callback_history_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'callback_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS callback_history_append_only ON callback_history;
+CREATE TRIGGER callback_history_append_only
+BEFORE UPDATE OR DELETE ON callback_history
+FOR EACH ROW EXECUTE FUNCTION prevent_callback_history_changes();
+
+-- Enable RLS with service role access, like callback_requests
+ALTER TABLE callback_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable all access for service role" ON callback_history
+FOR ALL USING (auth.role() = 'service_role');
+
+-- Add comments for documentation
+COMMENT ON TABLE callback_history IS 'Append-only change history of callback_requests';
+COMMENT ON COLUMN callback_history.event IS 'create, update, repeat_submission, merge or delete';
+COMMENT ON COLUMN callback_history.source IS 'Where the change came from: api, telegram, bulk or system';
@@ -0,0 +1,33 @@
+-- Create notes table for callback requests
+-- Notes come from the API or from Telegram replies to a callback's group message
+
+CREATE TABLE IF NOT EXISTS callback_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  callback_id TEXT NOT NULL REFERENCES callback_requests(id) ON DELETE CASCADE,
+  text TEXT NOT NULL,
+  author TEXT,
+  author_id TEXT,
+  source TEXT NOT NULL CHECK (source IN ('api', 'telegram')),
+  telegram_message_id BIGINT,
+  telegram_chat_id BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_callback_notes_callback
+ON callback_notes(callback_id, created_at);
+
+-- Replies are matched to a callback through the Telegram message they answer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_callback_notes_telegram_message
+ON callback_notes(telegram_chat_id, telegram_message_id)
+WHERE telegram_message_id IS NOT NULL;
+
+-- Enable RLS with service role access, like callback_requests
+ALTER TABLE callback_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable all access for service role" ON callback_notes
+FOR ALL USING (auth.role() = 'service_role');
+
+-- Add comments for documentation
+COMMENT ON TABLE callback_notes IS 'Notes and comments on callback requests';
+COMMENT ON COLUMN callback_notes.source IS 'Where the note was written: api or telegram';
+COMMENT ON COLUMN callback_notes.telegram_message_id IS 'Telegram message of the note (the reply, or the message the bot posted)';
@@ -0,0 +1,4 @@
+-- Index backing cursor pagination of callback_requests by (created_at, id)
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_created_id
+ON callback_requests(created_at DESC, id DESC);
@@ -0,0 +1,34 @@
+-- Add duplicate lead detection fields to callback_requests table
+-- Repeat submissions from the same phone are attached to the open request
+-- instead of creating a new row
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS phone_normalized TEXT,
+ADD COLUMN IF NOT EXISTS repeat_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_submitted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS submissions JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS merged_into TEXT REFERENCES callback_requests(id) ON DELETE SET NULL;
+
+-- Backfill normalized phones for existing rows (digits only, leading US 1 dropped)
+UPDATE callback_requests
+SET phone_normalized = CASE
+  WHEN length(regexp_replace(phone, '\D', '', 'g')) = 11
+   AND regexp_replace(phone, '\D', '', 'g') LIKE '1%'
+  THEN substring(regexp_replace(phone, '\D', '', 'g') FROM 2)
+  ELSE regexp_replace(phone, '\D', '', 'g')
+END
+WHERE phone_normalized IS NULL;
+
+-- Create index for duplicate lookups
+CREATE INDEX IF NOT EXISTS idx_callback_requests_phone_normalized
+ON callback_requests(phone_normalized, created_at DESC);
+
+-- Realtime UPDATE events must carry the old row so repeat submissions and
+-- merges can be detected
+ALTER TABLE callback_requests REPLICA IDENTITY FULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN callback_requests.phone_normalized IS 'Phone reduced to digits, used for duplicate detection';
+COMMENT ON COLUMN callback_requests.repeat_count IS 'Number of repeat submissions attached to this request';
+COMMENT ON COLUMN callback_requests.submissions IS 'Repeat submissions (and merged requests) attached to this request';
+COMMENT ON COLUMN callback_requests.merged_into IS 'Request this one was merged into';
@@ -0,0 +1,80 @@
+-- Merge one callback request into another in a single transaction
+-- Called by mergeCallbacks (src/services/callbackService.js), which plans the
+-- changes; this applies them all or nothing: the target's submissions and
+-- repeat count, the source's cancellation and merged_into link, and the
+-- history rows of both. Run after add-callback-history.sql and
+-- add-status-lifecycle.sql.
+
+CREATE OR REPLACE FUNCTION merge_callbacks(
+  p_target_id TEXT,
+  p_source_id TEXT,
+  p_target_version TIMESTAMP WITH TIME ZONE,
+  p_source_version TIMESTAMP WITH TIME ZONE,
+  p_target JSONB,
+  p_source JSONB,
+  p_history JSONB
+)
+RETURNS callback_requests AS $$
+DECLARE
+  v_target callback_requests;
+  v_source callback_requests;
+  v_merged callback_requests;
+BEGIN
+  -- Lock both rows in id order so two opposite merges cannot deadlock
+  PERFORM 1 FROM callback_requests
+  WHERE id IN (p_target_id, p_source_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT * INTO v_target FROM callback_requests WHERE id = p_target_id;
+  SELECT * INTO v_source FROM callback_requests WHERE id = p_source_id;
+
+  IF v_target.id IS NULL OR v_source.id IS NULL THEN
+    RAISE EXCEPTION 'Callback not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_target.merged_into IS NOT NULL OR v_source.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Callback has already been merged' USING ERRCODE = '55000';
+  END IF;
+
+  -- The changes were planned from these versions of the rows
+  IF v_target.updated_at IS DISTINCT FROM p_target_version
+     OR v_source.updated_at IS DISTINCT FROM p_source_version THEN
+    RAISE EXCEPTION 'Callback changed during the merge; try again' USING ERRCODE = '55000';
+  END IF;
+
+  -- Keys missing from the JSON keep their current value
+  v_target := jsonb_populate_record(v_target, p_target);
+  v_source := jsonb_populate_record(v_source, p_source);
+
+  UPDATE callback_requests SET
+    submissions = v_target.submissions,
+    repeat_count = v_target.repeat_count,
+    last_submitted_at = v_target.last_submitted_at,
+    updated_at = v_target.updated_at
+  WHERE id = p_target_id
+  RETURNING * INTO v_merged;
+
+  UPDATE callback_requests SET
+    status = v_source.status,
+    cancellation_reason = v_source.cancellation_reason,
+    cancelled_at = v_source.cancelled_at,
+    cancelled_by = v_source.cancelled_by,
+    merged_into = v_source.merged_into,
+    updated_at = v_source.updated_at
+  WHERE id = p_source_id;
+
+  INSERT INTO callback_history (callback_id, event, field, old_value, new_value, actor, actor_id, source, created_at)
+  SELECT callback_id, event, field, old_value, new_value, actor, actor_id, source, COALESCE(created_at, NOW())
+  FROM jsonb_populate_recordset(NULL::callback_history, COALESCE(p_history, '[]'::jsonb));
+
+  RETURN v_merged;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the backend (service role) may merge
+REVOKE EXECUTE ON FUNCTION merge_callbacks(TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_callbacks(TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, JSONB, JSONB, JSONB) TO service_role;
+
+-- Add comments for documentation
+COMMENT ON FUNCTION merge_callbacks(TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, JSONB, JSONB, JSONB) IS 'Atomically merge callback p_source_id into p_target_id (see mergeCallbacks)';
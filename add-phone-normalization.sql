@@ -0,0 +1,13 @@
+-- Store phone numbers normalized to E.164 in callback_requests.phone_normalized
+-- `phone` keeps the number exactly as the customer typed it
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS phone_normalized TEXT;
+
+-- Existing rows are left as they are. E.164 depends on libphonenumber's
+-- per-country rules and DEFAULT_PHONE_COUNTRY (src/utils/phone.js), which
+-- can't be reproduced here, so older rows keep their digit-only keys and
+-- only new submissions are stored in E.164.
+
+-- Add comment for documentation
+COMMENT ON COLUMN callback_requests.phone_normalized IS 'Phone number in E.164 format, used for display, duplicate detection and search (digits only on rows created before add-phone-normalization.sql)';
@@ -0,0 +1,28 @@
+-- Add customer-preferred callback window fields to callback_requests table
+-- The window is stored as absolute times plus the customer's timezone
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS preferred_start_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS preferred_end_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS preferred_timezone TEXT,
+ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- When a callback is due: the start of the preferred window, or creation time
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE
+GENERATED ALWAYS AS (COALESCE(preferred_start_at, created_at)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_due_at
+ON callback_requests(due_at);
+
+-- The reminder check looks for windows that opened without a reminder
+CREATE INDEX IF NOT EXISTS idx_callback_requests_pending_reminders
+ON callback_requests(preferred_start_at)
+WHERE reminder_sent_at IS NULL AND preferred_start_at IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN callback_requests.preferred_start_at IS 'Start of the window the customer wants to be called in';
+COMMENT ON COLUMN callback_requests.preferred_end_at IS 'End of the preferred window';
+COMMENT ON COLUMN callback_requests.preferred_timezone IS 'Customer timezone the window was given in (IANA name)';
+COMMENT ON COLUMN callback_requests.reminder_sent_at IS 'When the window-open reminder was sent';
+COMMENT ON COLUMN callback_requests.due_at IS 'Preferred window start, or creation time without one';
@@ -0,0 +1,52 @@
+-- Create routing rules for new leads
+-- A new lead is posted to the chat/topic of the first active rule (lowest
+-- priority) whose conditions it meets; without a match it goes to
+-- TELEGRAM_WORKERS_GROUP_ID / TELEGRAM_WORKERS_TOPIC_ID
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  priority INTEGER NOT NULL DEFAULT 100,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  service_types TEXT[] NOT NULL DEFAULT '{}',
+  utm_sources TEXT[] NOT NULL DEFAULT '{}',
+  sites TEXT[] NOT NULL DEFAULT '{}',
+  hours JSONB,
+  chat_id BIGINT NOT NULL,
+  topic_id INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_priority
+ON routing_rules(priority, id);
+
+-- Site the lead came from, and the topic its card was posted in
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS site TEXT,
+ADD COLUMN IF NOT EXISTS telegram_topic_id INTEGER;
+
+-- Enable RLS with service role access, like callback_requests
+ALTER TABLE routing_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable all access for service role" ON routing_rules
+FOR ALL USING (auth.role() = 'service_role');
+
+-- Cards record the topic they were sent to; NULL means the chat itself.
+-- Cards posted to the workers topic before this migration have none stored.
+-- If TELEGRAM_WORKERS_TOPIC_ID is set, fill it in for them so replies stay in
+-- that topic (replace the two ids with your values and uncomment):
+-- UPDATE callback_requests
+-- SET telegram_topic_id = 123
+-- WHERE telegram_chat_id = -1001234567890 AND telegram_topic_id IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE routing_rules IS 'Rules picking the Telegram chat/topic a new lead is posted to';
+COMMENT ON COLUMN routing_rules.priority IS 'Rules are tried from the lowest priority up; the first match wins';
+COMMENT ON COLUMN routing_rules.service_types IS 'Service types the rule matches; empty = any';
+COMMENT ON COLUMN routing_rules.utm_sources IS 'UTM sources the rule matches; empty = any';
+COMMENT ON COLUMN routing_rules.sites IS 'Site host names the rule matches, without www; empty = any';
+COMMENT ON COLUMN routing_rules.hours IS 'Weekly hours like workers.working_hours; NULL = any time';
+COMMENT ON COLUMN routing_rules.topic_id IS 'Forum topic (message_thread_id); NULL = the chat itself';
+COMMENT ON COLUMN callback_requests.site IS 'Host name of the site the lead was submitted on';
+COMMENT ON COLUMN callback_requests.telegram_topic_id IS 'Forum topic the Telegram card was sent to; NULL = the chat itself';
@@ -0,0 +1,34 @@
+-- Add SLA tracking fields
+-- sla_alerts records which SLA alerts were already sent for a callback
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS sla_alerts TEXT[] NOT NULL DEFAULT '{}';
+
+-- On-call workers are mentioned when nobody takes a callback in time
+ALTER TABLE workers
+ADD COLUMN IF NOT EXISTS on_call BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- The SLA check scans open callbacks
+CREATE INDEX IF NOT EXISTS idx_callback_requests_open_created
+ON callback_requests(created_at)
+WHERE status IN ('pending', 'in_progress') AND deleted_at IS NULL;
+
+-- Callbacks already past a threshold count as alerted, so the first check does
+-- not ping and escalate every old open callback at once. Uses the default
+-- thresholds (SLA_ASSIGN_MINUTES 20, SLA_ESCALATE_ASSIGN_MINUTES 40,
+-- SLA_CONTACT_MINUTES 60, SLA_ESCALATE_CONTACT_MINUTES 120); change them here
+-- if yours differ. Only callbacks without any recorded alert are touched.
+UPDATE callback_requests
+SET sla_alerts = ARRAY_REMOVE(ARRAY[
+  CASE WHEN created_at < NOW() - INTERVAL '20 minutes' THEN 'assign:warning' END,
+  CASE WHEN created_at < NOW() - INTERVAL '60 minutes' THEN 'contact:warning' END,
+  CASE WHEN created_at < NOW() - INTERVAL '40 minutes' THEN 'assign:escalation' END,
+  CASE WHEN created_at < NOW() - INTERVAL '120 minutes' THEN 'contact:escalation' END
+], NULL)
+WHERE status IN ('pending', 'in_progress')
+  AND deleted_at IS NULL
+  AND sla_alerts = '{}';
+
+-- Add comments for documentation
+COMMENT ON COLUMN callback_requests.sla_alerts IS 'SLA alerts already sent, e.g. assign:warning, contact:escalation';
+COMMENT ON COLUMN workers.on_call IS 'Mentioned when an unassigned callback breaches its SLA';
@@ -0,0 +1,20 @@
+-- Add soft delete fields to callback_requests table
+-- DELETE moves a callback to the trash; it is purged after TRASH_RETENTION_DAYS
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+-- Most queries only look at live callbacks
+CREATE INDEX IF NOT EXISTS idx_callback_requests_live_created
+ON callback_requests(created_at DESC, id DESC)
+WHERE deleted_at IS NULL;
+
+-- Trash listing and purge
+CREATE INDEX IF NOT EXISTS idx_callback_requests_deleted_at
+ON callback_requests(deleted_at)
+WHERE deleted_at IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN callback_requests.deleted_at IS 'When the request was moved to the trash (NULL = live)';
+COMMENT ON COLUMN callback_requests.deleted_by IS 'Who moved the request to the trash';
@@ -0,0 +1,20 @@
+-- Add cancellation tracking fields to callback_requests table
+-- Required by the status lifecycle: a cancellation records who cancelled and why
+
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS cancelled_by TEXT,
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- Only known statuses may be stored
+ALTER TABLE callback_requests
+DROP CONSTRAINT IF EXISTS callback_requests_status_check;
+
+ALTER TABLE callback_requests
+ADD CONSTRAINT callback_requests_status_check
+CHECK (status IN ('pending', 'in_progress', 'contacted', 'completed', 'cancelled'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN callback_requests.cancelled_at IS 'When the request was cancelled';
+COMMENT ON COLUMN callback_requests.cancelled_by IS 'Who cancelled the request';
+COMMENT ON COLUMN callback_requests.cancellation_reason IS 'Why the request was cancelled';
@@ -0,0 +1,8 @@
+-- Add per-worker language for Telegram direct messages
+-- Values come from the bot's catalogs (src/locales); the API validates them
+
+ALTER TABLE workers
+ADD COLUMN IF NOT EXISTS locale TEXT;
+
+-- Add comments for documentation
+COMMENT ON COLUMN workers.locale IS 'Language of the worker''s Telegram direct messages (ru, en); NULL = bot default';
@@ -0,0 +1,41 @@
+-- Create worker roster table
+-- The Telegram assignment buttons are built from the active workers
+
+CREATE TABLE IF NOT EXISTS workers (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  telegram_user_id BIGINT UNIQUE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  service_types TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Link callbacks to the roster; assigned_to keeps the display name
+ALTER TABLE callback_requests
+ADD COLUMN IF NOT EXISTS assigned_worker_id INTEGER REFERENCES workers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_assigned_worker
+ON callback_requests(assigned_worker_id);
+
+-- The two workers that used to be hardcoded in the bot
+INSERT INTO workers (name) VALUES ('Влад'), ('Денис')
+ON CONFLICT (name) DO NOTHING;
+
+-- Link existing assignments to them
+UPDATE callback_requests c
+SET assigned_worker_id = w.id
+FROM workers w
+WHERE c.assigned_to = w.name AND c.assigned_worker_id IS NULL;
+
+-- Enable RLS with service role access, like callback_requests
+ALTER TABLE workers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Enable all access for service role" ON workers
+FOR ALL USING (auth.role() = 'service_role');
+
+-- Add comments for documentation
+COMMENT ON TABLE workers IS 'Worker roster used for Telegram assignment buttons';
+COMMENT ON COLUMN workers.telegram_user_id IS 'Telegram user id of the worker (optional)';
+COMMENT ON COLUMN workers.service_types IS 'Service types the worker handles; empty = all';
+COMMENT ON COLUMN callback_requests.assigned_worker_id IS 'Roster entry of the assigned worker';
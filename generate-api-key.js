@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Generator
+ * Prints a new random API key and the API_KEYS entry that grants it a role.
+ *
+ * Usage: node generate-api-key.js <name> <public|worker|admin>
+ */
+
+import crypto from 'crypto';
+
+const ROLES = ['public', 'worker', 'admin'];
+const [name, role = 'worker'] = process.argv.slice(2);
+
+if (!name || !ROLES.includes(role)) {
+  console.error('❌ Usage: node generate-api-key.js <name> <public|worker|admin>');
+  process.exit(1);
+}
+
+const key = crypto.randomBytes(32).toString('base64url');
+const hash = crypto.createHash('sha256').update(key).digest('hex');
+
+console.log('🔑 API key (give this to the client, it is not stored anywhere):');
+console.log(`   ${key}`);
+console.log('');
+console.log('📋 Add this entry to API_KEYS (comma-separated):');
+console.log(`   ${name}:${role}:${hash}`);
@@ -13,16 +13,27 @@ console.log('✅ Basic imports loaded');
 console.log('📦 Loading Supabase config...');
 import { testSupabaseConnection } from './config/supabase.js';
 console.log('🤖 Loading Telegram bot...');
-import { testBotConnection } from './services/telegramBot.js';
+import { testBotConnection, telegramMode } from './services/telegramBot.js';
 console.log('📡 Loading realtime service...');
 import { initializeRealtime, getRealtimeStatus, disconnectRealtime } from './services/realtimeService.js';
+import { purgeDeletedCallbacks } from './services/callbackService.js';
+import { runSlaCheck, SLA_CHECK_INTERVAL_MS } from './services/slaService.js';
+import { runReminderCheck, REMINDER_CHECK_INTERVAL_MS } from './services/reminderService.js';
 
 // Import the lightweight health helper (always-200 /health)
 import registerHealthRoutes from './health.js';
 
+// Import auth middleware
+import { authenticate, requireRole } from './middleware/auth.js';
+import { getRateLimitStats } from './middleware/rateLimit.js';
+
 // Import routes
 console.log('🛣️ Loading routes...');
 import callbackRoutes from './routes/callbacks.js';
+import workerRoutes from './routes/workers.js';
+import appointmentRoutes from './routes/appointments.js';
+import telegramRoutes, { webhookRouter as telegramWebhookRouter } from './routes/telegram.js';
+import routingRoutes from './routes/routing.js';
 
 console.log('✅ All imports loaded successfully');
 
@@ -32,6 +43,9 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Railway (and most platforms) sit behind a proxy; trust it so req.ip is the client IP
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '1', 10) || false);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -66,7 +80,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 app.use(cors(corsOptions));
 
@@ -74,8 +88,9 @@ app.use(cors(corsOptions));
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// The API only receives small form payloads
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ extended: true, limit: '100kb' }));
 
 // Register the simple always-200 /health endpoint to satisfy Railway probe quickly
 registerHealthRoutes(app);
@@ -99,7 +114,7 @@ app.get('/api/realtime/status', (req, res) => {
 });
 
 // Realtime reconnect endpoint
-app.post('/api/realtime/reconnect', async (req, res) => {
+app.post('/api/realtime/reconnect', authenticate, requireRole('admin'), async (req, res) => {
   try {
     console.log('🔄 Manual reconnect requested via API');
     await disconnectRealtime();
@@ -121,7 +136,7 @@ app.post('/api/realtime/reconnect', async (req, res) => {
 });
 
 // Additional routes...
-app.post('/api/realtime/test', async (req, res) => {
+app.post('/api/realtime/test', authenticate, requireRole('admin'), async (req, res) => {
   try {
     console.log('🧪 Realtime test requested via API');
     const status = getRealtimeStatus();
@@ -142,7 +157,21 @@ app.post('/api/realtime/test', async (req, res) => {
   }
 });
 
+// Throttle statistics for the public callback form
+app.get('/api/rate-limit/stats', authenticate, requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: getRateLimitStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 app.use('/api/callbacks', callbackRoutes);
+app.use('/api/workers', workerRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use(telegramWebhookRouter);
+app.use('/api/telegram', telegramRoutes);
+app.use('/api/routing-rules', routingRoutes);
 
 // Root, 404, error handlers (unchanged)
 app.get('/', (req, res) => {
@@ -152,6 +181,9 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       callbacks: '/api/callbacks',
+      workers: '/api/workers',
+      appointments: '/api/appointments',
+      routingRules: '/api/routing-rules',
       documentation: 'See README.md for API documentation'
     }
   });
@@ -167,6 +199,19 @@ app.use('*', (req, res) => {
 });
 
 app.use((error, req, res, next) => {
+  // Malformed or oversized bodies are reported in the same shape as validation errors
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    return res.status(error.status).json({
+      success: false,
+      error: 'Validation failed',
+      errors: [{
+        location: 'body',
+        field: null,
+        message: error.type === 'entity.too.large' ? 'Request body is too large' : 'Malformed JSON body'
+      }]
+    });
+  }
+
   console.error('❌ Global error handler:', error);
   res.status(error.status || 500).json({
     success: false,
@@ -236,7 +281,7 @@ const startServer = async () => {
         if (!telegramConnected) {
           console.warn('⚠️ Telegram bot connection failed. Notifications will be disabled.');
         } else {
-          console.log('🤖 Telegram bot initialized with polling');
+          console.log(`🤖 Telegram bot initialized (updates: ${telegramMode})`);
         }
 
         console.log('📡 Initializing realtime subscriptions (background)...');
@@ -248,6 +293,21 @@ const startServer = async () => {
           console.warn('⚠️ Realtime initialization failed. Will attempt automatic reconnection.');
         }
 
+        // Empty the trash of callbacks past TRASH_RETENTION_DAYS, now and then hourly
+        const purgeTrash = () => purgeDeletedCallbacks().catch(() => {});
+        await purgeTrash();
+        setInterval(purgeTrash, 60 * 60 * 1000).unref();
+
+        // Watch open callbacks for SLA breaches
+        if (SLA_CHECK_INTERVAL_MS > 0) {
+          setInterval(() => runSlaCheck().catch(() => {}), SLA_CHECK_INTERVAL_MS).unref();
+        }
+
+        // Remind workers when a customer's preferred window opens
+        if (REMINDER_CHECK_INTERVAL_MS > 0) {
+          setInterval(() => runReminderCheck().catch(() => {}), REMINDER_CHECK_INTERVAL_MS).unref();
+        }
+
       } catch (bgError) {
         console.error('❌ Background init error:', bgError);
       }
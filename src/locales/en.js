@@ -0,0 +1,182 @@
+// English bot texts, same keys as ru.js
+
+export const en = {
+  intlLocale: 'en-US',
+
+  status: {
+    pending: '⏳ Pending',
+    in_progress: '🔄 In progress',
+    contacted: '📞 Contacted',
+    completed: '✅ Completed',
+    cancelled: '❌ Cancelled'
+  },
+
+  utm: {
+    source: 'Source',
+    medium: 'Medium',
+    campaign: 'Campaign',
+    term: 'Term',
+    content: 'Content'
+  },
+
+  card: {
+    newCallback: 'New callback request',
+    assignedTo: 'Assigned to {name}',
+    name: 'Name:',
+    phone: 'Phone:',
+    service: 'Service:',
+    noService: 'Not specified',
+    time: 'Time:',
+    preferredTime: 'Preferred time:',
+    id: 'Request ID:',
+    repeat: 'Repeat request ×{count}',
+    status: 'Status:',
+    assigned: 'Assigned:',
+    automatically: '(automatically)',
+    completedBy: 'Completed by:',
+    cancellationReason: 'Cancellation reason:',
+    update: 'Update:',
+    history: 'History:',
+    system: 'system',
+    autoAssign: 'auto-assignment',
+    mergedInto: 'Merged into request {id}',
+    deleted: 'Request deleted',
+    deletedBy: 'Request deleted ({name})',
+    restored: 'Request restored'
+  },
+
+  historyFields: {
+    status: 'status',
+    assigned_to: 'assigned',
+    completed_by: 'completed by',
+    cancellation_reason: 'cancellation reason',
+    repeat_count: 'repeats',
+    merged_into: 'merged into'
+  },
+
+  completed: {
+    title: 'Request completed',
+    id: 'ID:',
+    customer: 'Customer:',
+    nobody: 'Not specified',
+    completedAt: 'Completed at:'
+  },
+
+  note: 'Note',
+  systemMessage: 'System notification',
+  systemError: 'System error',
+
+  buttons: {
+    contacted: 'Contacted',
+    completed: 'Completed',
+    cancel: 'Cancel',
+    reassign: 'Reassign',
+    unassign: 'Unassign',
+    back: 'Back'
+  },
+
+  cancelReasons: [
+    'No answer',
+    'Customer declined',
+    'Duplicate',
+    'Spam',
+    'Other'
+  ],
+
+  actions: {
+    unknown: 'Unknown action',
+    workerNotFound: 'Worker not found or inactive',
+    testAssigned: 'Test: assigned to {worker} (by {by})',
+    testButton: 'Test: the button works',
+    notFound: 'Request not found',
+    notAllowed: 'Only the assigned worker or an admin can change this request',
+    assigned: 'Assigned to {worker} (by {by})',
+    reassigned: 'Reassigned to {worker} (by {by})',
+    contacted: 'Customer contacted ({by})',
+    completed: 'Request completed ({by})',
+    unknownReason: 'Unknown cancellation reason',
+    cancelled: 'Request cancelled: {reason} ({by})',
+    unassigned: 'Worker unassigned ({by})',
+    workerFallbackName: 'Worker'
+  },
+
+  errors: {
+    invalidTransition: 'Cannot move the request from “{from}” to “{to}”',
+    missingFields: '“{to}” needs: {fields}',
+    appointmentOutcomeRequired: 'Record the outcome of the technician visit first',
+    generic: 'Something went wrong while processing the request'
+  },
+
+  sla: {
+    assign: 'nobody took the request',
+    contact: 'the customer was not called back',
+    breached: 'SLA breached:',
+    escalated: 'SLA escalation:',
+    within: 'within {minutes} min',
+    waiting: 'Waiting: {minutes} min',
+    status: 'Status:',
+    responsible: 'Responsible:'
+  },
+
+  reminder: {
+    customerWaiting: 'Customer is waiting for a call:'
+  },
+
+  appointment: {
+    scheduled: 'Visit scheduled',
+    rescheduled: 'Visit rescheduled',
+    cancelled: 'Visit cancelled',
+    completed: 'Visit completed',
+    when: 'When:',
+    address: 'Address:',
+    appliance: 'Appliance:',
+    technician: 'Technician:',
+    reason: 'Reason:',
+    outcome: 'Outcome:',
+    outcomes: {
+      repaired: 'Repaired',
+      needs_parts: 'Needs parts',
+      not_repairable: 'Not repairable',
+      customer_no_show: 'Customer was not there',
+      other: 'Other'
+    }
+  },
+
+  commands: {
+    menu: {
+      start: 'Start using the bot',
+      help: 'Show help',
+      queue: 'Unassigned requests',
+      my: 'My open requests',
+      stats: 'Stats: /stats 24h|7d|30d',
+      find: 'Find a request by phone'
+    },
+    help: {
+      title: 'Bot commands',
+      queue: 'unassigned requests with assignment buttons',
+      my: 'your open requests',
+      stats: 'request stats',
+      find: 'find a request by phone number',
+      phone: '<phone>'
+    },
+    rosterOnly: 'Commands are only available to workers on the roster',
+    failed: 'Something went wrong while running the command',
+    queueEmpty: 'No unassigned requests',
+    queueTitle: 'Unassigned requests:',
+    queueShown: '(showing {count})',
+    notOnRoster: 'You are not on the worker roster',
+    myEmpty: '{name}, you have no open requests',
+    myTitle: 'Your open requests:',
+    statsUsage: 'Choose a period: /stats {day}, {week} or {month}',
+    statsTitle: 'Stats for {range}',
+    statsRanges: {
+      '24h': 'the last 24 hours',
+      '7d': 'the last 7 days',
+      '30d': 'the last 30 days'
+    },
+    statsTotal: 'Total: {total}',
+    findUsage: 'Give a phone number: /find {example}',
+    findEmpty: 'Nothing found',
+    findTitle: 'Found:'
+  }
+};
@@ -0,0 +1,184 @@
+// Russian bot texts. This is the complete catalog: keys missing from another
+// locale fall back to it. "{name}" placeholders are filled in by translate().
+
+export const ru = {
+  intlLocale: 'ru-RU',
+
+  status: {
+    pending: '⏳ Ожидает',
+    in_progress: '🔄 В работе',
+    contacted: '📞 Связались',
+    completed: '✅ Выполнено',
+    cancelled: '❌ Отменено'
+  },
+
+  utm: {
+    source: 'Источник',
+    medium: 'Канал',
+    campaign: 'Кампания',
+    term: 'Термин',
+    content: 'Контент'
+  },
+
+  card: {
+    newCallback: 'Новая заявка на обратный звонок',
+    assignedTo: 'Заявка привязана под {name}',
+    name: 'Имя:',
+    phone: 'Телефон:',
+    service: 'Услуга:',
+    noService: 'Не указана',
+    time: 'Время:',
+    preferredTime: 'Удобное время:',
+    id: 'ID заявки:',
+    repeat: 'Повторная заявка ×{count}',
+    status: 'Статус:',
+    assigned: 'Назначен:',
+    automatically: '(автоматически)',
+    completedBy: 'Выполнил:',
+    cancellationReason: 'Причина отмены:',
+    update: 'Обновление:',
+    history: 'История:',
+    system: 'система',
+    autoAssign: 'автоназначение',
+    mergedInto: 'Объединена с заявкой {id}',
+    deleted: 'Заявка удалена',
+    deletedBy: 'Заявка удалена ({name})',
+    restored: 'Заявка восстановлена'
+  },
+
+  historyFields: {
+    status: 'статус',
+    assigned_to: 'назначен',
+    completed_by: 'выполнил',
+    cancellation_reason: 'причина отмены',
+    repeat_count: 'повторы',
+    merged_into: 'объединена с'
+  },
+
+  completed: {
+    title: 'Заявка выполнена',
+    id: 'ID:',
+    customer: 'Клиент:',
+    nobody: 'Не указан',
+    completedAt: 'Завершено:'
+  },
+
+  note: 'Заметка',
+  systemMessage: 'Системное уведомление',
+  systemError: 'Ошибка системы',
+
+  buttons: {
+    contacted: 'Связались',
+    completed: 'Выполнено',
+    cancel: 'Отменить',
+    reassign: 'Переназначить',
+    unassign: 'Снять',
+    back: 'Назад'
+  },
+
+  // Offered by the cancel button; the chosen one is saved as cancellation_reason
+  cancelReasons: [
+    'Не дозвонились',
+    'Клиент отказался',
+    'Дубликат',
+    'Спам',
+    'Другое'
+  ],
+
+  actions: {
+    unknown: 'Неизвестное действие',
+    workerNotFound: 'Работник не найден или неактивен',
+    testAssigned: 'Тест: заявка привязана под {worker} (назначил: {by})',
+    testButton: 'Тест: кнопка работает',
+    notFound: 'Заявка не найдена',
+    notAllowed: 'Только назначенный работник или администратор может менять эту заявку',
+    assigned: 'Заявка привязана под {worker} (назначил: {by})',
+    reassigned: 'Заявка переназначена на {worker} (назначил: {by})',
+    contacted: 'Связались с клиентом ({by})',
+    completed: 'Заявка выполнена ({by})',
+    unknownReason: 'Неизвестная причина отмены',
+    cancelled: 'Заявка отменена: {reason} ({by})',
+    unassigned: 'Работник снят с заявки ({by})',
+    workerFallbackName: 'Работник'
+  },
+
+  errors: {
+    invalidTransition: 'Нельзя перевести заявку из «{from}» в «{to}»',
+    missingFields: 'Для статуса «{to}» не хватает: {fields}',
+    appointmentOutcomeRequired: 'Сначала укажите результат выезда мастера',
+    generic: 'Произошла ошибка при обработке запроса'
+  },
+
+  sla: {
+    assign: 'никто не взял заявку',
+    contact: 'клиенту не перезвонили',
+    breached: 'SLA нарушен:',
+    escalated: 'Эскалация SLA:',
+    within: 'за {minutes} мин',
+    waiting: 'Ожидает: {minutes} мин',
+    status: 'Статус:',
+    responsible: 'Ответственные:'
+  },
+
+  reminder: {
+    customerWaiting: 'Клиент ждёт звонка:'
+  },
+
+  appointment: {
+    scheduled: 'Выезд назначен',
+    rescheduled: 'Выезд перенесён',
+    cancelled: 'Выезд отменён',
+    completed: 'Выезд завершён',
+    when: 'Когда:',
+    address: 'Адрес:',
+    appliance: 'Техника:',
+    technician: 'Мастер:',
+    reason: 'Причина:',
+    outcome: 'Результат:',
+    outcomes: {
+      repaired: 'Отремонтировано',
+      needs_parts: 'Нужны запчасти',
+      not_repairable: 'Ремонт невозможен',
+      customer_no_show: 'Клиента не было на месте',
+      other: 'Другое'
+    }
+  },
+
+  commands: {
+    menu: {
+      start: 'Начать работу с ботом',
+      help: 'Показать справку',
+      queue: 'Свободные заявки',
+      my: 'Мои заявки в работе',
+      stats: 'Статистика: /stats 24h|7d|30d',
+      find: 'Найти заявку по телефону'
+    },
+    help: {
+      title: 'Команды бота',
+      queue: 'свободные заявки с кнопками назначения',
+      my: 'ваши заявки в работе',
+      stats: 'статистика заявок',
+      find: 'поиск заявки по номеру',
+      phone: '<телефон>'
+    },
+    rosterOnly: 'Команды доступны только работникам из списка',
+    failed: 'Произошла ошибка при обработке команды',
+    queueEmpty: 'Свободных заявок нет',
+    queueTitle: 'Свободные заявки:',
+    queueShown: '(показаны {count})',
+    notOnRoster: 'Вас нет в списке работников',
+    myEmpty: '{name}, у вас нет заявок в работе',
+    myTitle: 'Ваши заявки в работе:',
+    statsUsage: 'Укажите период: /stats {day}, {week} или {month}',
+    statsTitle: 'Статистика {range}',
+    statsRanges: {
+      '24h': 'за 24 часа',
+      '7d': 'за 7 дней',
+      '30d': 'за 30 дней'
+    },
+    statsTotal: 'Всего: {total}',
+    findUsage: 'Укажите телефон: /find {example}',
+    findEmpty: 'Ничего не найдено',
+    findTitle: 'Найдено:'
+  }
+};
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { supabase } from '../config/supabase.js';
+
+dotenv.config();
+
+// Roles in ascending order of privilege:
+//   public - may only create callback requests (the website form)
+//   worker - may read and update callbacks
+//   admin  - may delete callbacks and control realtime
+export const ROLES = ['public', 'worker', 'admin'];
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// Hash an API key the same way keys are stored in API_KEYS
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Parse API_KEYS: comma-separated "name:role:sha256hex" entries
+const parseApiKeys = (raw) => {
+  if (!raw) return [];
+
+  return raw
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, hash] = entry.split(':').map(part => part?.trim());
+      if (!name || !ROLES.includes(role) || !/^[a-f0-9]{64}$/i.test(hash || '')) {
+        console.warn(`⚠️ Ignoring malformed API_KEYS entry: ${name || entry}`);
+        return null;
+      }
+      return { name, role, hash: Buffer.from(hash.toLowerCase(), 'hex') };
+    })
+    .filter(Boolean);
+};
+
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+
+// Look up an API key by hash using a constant-time comparison
+const resolveApiKey = (key) => {
+  const candidate = Buffer.from(hashApiKey(key), 'hex');
+  const match = apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, candidate));
+  if (!match) return null;
+
+  return { role: match.role, type: 'api_key', id: match.name, name: match.name };
+};
+
+// Verify a Supabase access token; the role comes from app_metadata.role
+const resolveSupabaseToken = async (token) => {
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+
+  const { user } = data;
+  const role = ROLES.includes(user.app_metadata?.role) ? user.app_metadata.role : 'public';
+
+  return { role, type: 'supabase', id: user.id, name: user.email || user.id };
+};
+
+const ANONYMOUS = { role: 'public', type: 'anonymous', id: null, name: null };
+
+// Resolve the caller from X-API-Key or a Bearer token. Returns { auth } for
+// valid or missing credentials and { error } for invalid ones.
+const resolveCredentials = async (req) => {
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+
+  if (apiKey) {
+    const auth = resolveApiKey(apiKey);
+    return auth ? { auth } : { error: 'Invalid API key' };
+  }
+
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    if (scheme?.toLowerCase() !== 'bearer' || !token) {
+      return { error: 'Unsupported authorization scheme' };
+    }
+
+    const auth = await resolveSupabaseToken(token);
+    return auth ? { auth } : { error: 'Invalid or expired token' };
+  }
+
+  return { auth: ANONYMOUS };
+};
+
+// Attach req.auth to every request. Requests without credentials are treated
+// as `public`; requests with invalid credentials are rejected outright.
+export const authenticate = async (req, res, next) => {
+  req.auth = ANONYMOUS;
+
+  try {
+    const { auth, error } = await resolveCredentials(req);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+    req.auth = auth;
+
+    next();
+  } catch (error) {
+    console.error('❌ Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Like authenticate, for public endpoints: invalid credentials (a stale token
+// left in the browser) or a failed lookup make the request anonymous instead
+// of rejecting it.
+export const optionalAuthenticate = async (req, res, next) => {
+  req.auth = ANONYMOUS;
+
+  try {
+    const { auth, error } = await resolveCredentials(req);
+    if (error) {
+      console.warn(`⚠️ Ignoring credentials on public ${req.method} ${req.originalUrl}: ${error}`);
+    } else {
+      req.auth = auth;
+    }
+  } catch (error) {
+    console.error('❌ Authentication error, continuing as anonymous:', error.message);
+  }
+
+  next();
+};
+
+// Require at least the given role. Anonymous callers get 401, authenticated
+// callers without enough privilege get 403.
+export const requireRole = (role) => (req, res, next) => {
+  const current = req.auth?.role || 'public';
+
+  if (roleRank(current) >= roleRank(role)) {
+    return next();
+  }
+
+  const isAnonymous = !req.auth || req.auth.type === 'anonymous';
+  res.status(isAnonymous ? 401 : 403).json({
+    success: false,
+    error: isAnonymous ? 'Authentication required' : `This action requires the ${role} role`
+  });
+};
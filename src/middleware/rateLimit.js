@@ -0,0 +1,136 @@
+import dotenv from 'dotenv';
+import { normalizePhone } from '../utils/phone.js';
+
+dotenv.config();
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Limits for the public callback form (sliding windows)
+export const rateLimitConfig = {
+  ip: {
+    max: readInt(process.env.RATE_LIMIT_IP_MAX, 5),
+    windowMs: readInt(process.env.RATE_LIMIT_IP_WINDOW_MS, 10 * 60 * 1000)
+  },
+  phone: {
+    max: readInt(process.env.RATE_LIMIT_PHONE_MAX, 3),
+    windowMs: readInt(process.env.RATE_LIMIT_PHONE_WINDOW_MS, 60 * 60 * 1000)
+  }
+};
+
+// In-memory sliding window store. A shared store (Redis, Postgres, ...) can be
+// plugged in with setRateLimitStore() as long as it implements the same two
+// async methods:
+//   getHits(key, windowStart) -> timestamps (ms) of hits at or after windowStart
+//   addHit(key, timestamp, ttlMs) -> records a hit that may be dropped after ttlMs
+export const createMemoryStore = () => {
+  const hits = new Map();
+
+  const prune = (key, windowStart) => {
+    const timestamps = (hits.get(key) || []).filter(ts => ts >= windowStart);
+    if (timestamps.length > 0) {
+      hits.set(key, timestamps);
+    } else {
+      hits.delete(key);
+    }
+    return timestamps;
+  };
+
+  // Drop keys that have not been hit recently so the map does not grow forever
+  const maxWindowMs = Math.max(rateLimitConfig.ip.windowMs, rateLimitConfig.phone.windowMs);
+  const sweeper = setInterval(() => {
+    const windowStart = Date.now() - maxWindowMs;
+    for (const key of hits.keys()) {
+      prune(key, windowStart);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async getHits(key, windowStart) {
+      return prune(key, windowStart);
+    },
+    async addHit(key, timestamp) {
+      const timestamps = hits.get(key) || [];
+      timestamps.push(timestamp);
+      hits.set(key, timestamps);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+// Replace the backing store (e.g. with a shared one when running several replicas)
+export const setRateLimitStore = (newStore) => {
+  if (!newStore || typeof newStore.getHits !== 'function' || typeof newStore.addHit !== 'function') {
+    throw new Error('Rate limit store must implement getHits() and addHit()');
+  }
+  store = newStore;
+};
+
+// Throttle counters exposed through the stats endpoint
+const stats = {
+  allowed: 0,
+  throttled: { ip: 0, phone: 0 },
+  lastThrottledAt: null,
+  since: new Date().toISOString()
+};
+
+export const getRateLimitStats = () => ({
+  ...stats,
+  throttled: { ...stats.throttled },
+  limits: rateLimitConfig
+});
+
+// Check one sliding window. Returns the number of seconds to wait when the
+// limit is exceeded, or 0 when the hit is allowed.
+const checkWindow = async (key, { max, windowMs }, now) => {
+  const timestamps = await store.getHits(key, now - windowMs);
+  if (timestamps.length < max) return 0;
+
+  const oldest = Math.min(...timestamps);
+  return Math.max(1, Math.ceil((oldest + windowMs - now) / 1000));
+};
+
+// Per-IP and per-phone throttle for POST /api/callbacks.
+// Only allowed requests are recorded, so a blocked client is not locked out
+// for longer than the window.
+export const callbackRateLimit = async (req, res, next) => {
+  try {
+    const now = Date.now();
+    const checks = [
+      { scope: 'ip', key: `ip:${req.ip}`, limit: rateLimitConfig.ip }
+    ];
+
+    const phoneKey = normalizePhone(req.body?.phone);
+    if (phoneKey) {
+      checks.push({ scope: 'phone', key: `phone:${phoneKey}`, limit: rateLimitConfig.phone });
+    }
+
+    for (const check of checks) {
+      const retryAfter = await checkWindow(check.key, check.limit, now);
+      if (retryAfter > 0) {
+        stats.throttled[check.scope]++;
+        stats.lastThrottledAt = new Date(now).toISOString();
+        console.warn(`🚦 Callback request throttled (${check.scope}): ${check.key}`);
+
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many requests. Please try again later.',
+          retryAfter
+        });
+      }
+    }
+
+    await Promise.all(checks.map(check => store.addHit(check.key, now, check.limit.windowMs)));
+    stats.allowed++;
+    next();
+  } catch (error) {
+    // Never lose a lead because the limiter's store is unavailable
+    console.error('❌ Rate limiter error, allowing request:', error.message);
+    next();
+  }
+};
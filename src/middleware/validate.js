@@ -0,0 +1,37 @@
+// Request validation middleware built on zod schemas.
+//
+// Usage: router.post('/', validate({ body: schema, query: schema, params: schema }), handler)
+// Parsed (coerced, trimmed, defaulted) values replace req.body / req.query / req.params.
+// Every failure is reported in the same shape:
+//   { success: false, error: 'Validation failed', errors: [{ location, field, message }] }
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    const schema = schemas[location];
+    if (!schema) continue;
+
+    const result = schema.safeParse(req[location] ?? {});
+    if (result.success) {
+      req[location] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        errors.push({
+          location,
+          field: issue.path.join('.') || null,
+          message: issue.message
+        });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,161 @@
+import express from 'express';
+import {
+  getAppointments,
+  getAppointmentById,
+  rescheduleAppointment,
+  cancelAppointment,
+  recordAppointmentOutcome,
+  announceAppointment
+} from '../services/appointmentService.js';
+import { getCallbackById } from '../services/callbackService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  appointmentIdParams,
+  rescheduleAppointmentBody,
+  cancelAppointmentBody,
+  appointmentOutcomeBody,
+  listAppointmentsQuery
+} from '../schemas/appointments.js';
+
+const router = express.Router();
+
+// Appointments are booked from a callback (POST /api/callbacks/:id/appointments)
+// and managed here by workers
+router.use(authenticate, requireRole('worker'));
+
+// Who made a change, for the callback's history
+const auditContext = (req) => ({
+  actor: req.auth.name,
+  actorId: req.auth.id,
+  source: 'api'
+});
+
+// Error response shared by the write endpoints; conflicts list the clashing bookings
+const sendError = (res, error) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : 'Internal server error',
+    code: error.code,
+    conflicts: error.conflicts,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Let the callback's Telegram thread know about a change
+const announce = async (appointment, event) => {
+  const callback = await getCallbackById(appointment.callback_id, { includeDeleted: true });
+  if (callback) {
+    await announceAppointment(callback, appointment, event);
+  }
+};
+
+// GET /api/appointments - List appointments, e.g. a technician's schedule
+router.get('/', validate({ query: listAppointmentsQuery }), async (req, res) => {
+  try {
+    const appointments = await getAppointments(req.query);
+
+    res.json({
+      success: true,
+      data: appointments,
+      message: 'Appointments retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting appointments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/appointments/:id - Get one appointment
+router.get('/:id', validate({ params: appointmentIdParams }), async (req, res) => {
+  try {
+    const appointment = await getAppointmentById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: appointment,
+      message: 'Appointment retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/appointments/:id - Reschedule or edit a scheduled appointment
+router.patch('/:id', validate({ params: appointmentIdParams, body: rescheduleAppointmentBody }), async (req, res) => {
+  try {
+    const { previous, appointment } = await rescheduleAppointment(req.params.id, req.body, auditContext(req));
+
+    const moved = previous.starts_at !== appointment.starts_at
+      || previous.ends_at !== appointment.ends_at
+      || previous.technician_id !== appointment.technician_id;
+    if (moved) {
+      await announce(appointment, 'rescheduled');
+    }
+
+    res.json({
+      success: true,
+      data: appointment,
+      message: 'Appointment updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error rescheduling appointment:', error);
+    sendError(res, error);
+  }
+});
+
+// POST /api/appointments/:id/cancel - Cancel a scheduled appointment
+router.post('/:id/cancel', validate({ params: appointmentIdParams, body: cancelAppointmentBody }), async (req, res) => {
+  try {
+    const { appointment } = await cancelAppointment(req.params.id, req.body.reason, auditContext(req));
+    await announce(appointment, 'cancelled');
+
+    res.json({
+      success: true,
+      data: appointment,
+      message: 'Appointment cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error cancelling appointment:', error);
+    sendError(res, error);
+  }
+});
+
+// POST /api/appointments/:id/outcome - Record the visit outcome and complete the appointment
+router.post('/:id/outcome', validate({ params: appointmentIdParams, body: appointmentOutcomeBody }), async (req, res) => {
+  try {
+    const { appointment } = await recordAppointmentOutcome(req.params.id, req.body, auditContext(req));
+    await announce(appointment, 'completed');
+
+    res.json({
+      success: true,
+      data: appointment,
+      message: 'Appointment outcome recorded successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error recording appointment outcome:', error);
+    sendError(res, error);
+  }
+});
+
+export default router;
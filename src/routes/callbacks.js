@@ -5,46 +5,77 @@ import {
   getCallbackById, 
   updateCallbackStatus, 
   deleteCallback,
-  getCallbackStats 
+  restoreCallback,
+  getDeletedCallbacks,
+  mergeCallbacks,
+  getCallbackStats,
+  OPEN_STATUSES
 } from '../services/callbackService.js';
+import { authenticate, optionalAuthenticate, requireRole } from '../middleware/auth.js';
+import { callbackRateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { streamCallbacksCsv, streamCallbacksXlsx } from '../services/exportService.js';
+import { runBulkAction } from '../services/bulkService.js';
+import { getCallbackHistory } from '../services/historyService.js';
+import { createNote, getNotes } from '../services/noteService.js';
+import { getSlaBreaches } from '../services/slaService.js';
+import { postNoteToThread } from '../services/telegramBot.js';
+import { createAppointment, getAppointmentsForCallback, announceAppointment } from '../services/appointmentService.js';
+import { normalizeSite } from '../services/routingService.js';
+import { parsePhone } from '../utils/phone.js';
+import {
+  callbackIdParams,
+  createCallbackBody,
+  listCallbacksQuery,
+  exportCallbacksQuery,
+  statsQuery,
+  trashQuery,
+  updateCallbackBody,
+  noteBody,
+  mergeCallbackBody,
+  bulkActionBody,
+  FILTER_FIELDS
+} from '../schemas/callbacks.js';
+import { createAppointmentBody } from '../schemas/appointments.js';
 
 const router = express.Router();
 
+// Who is making a change through the REST API, for the callback history
+const auditContext = (req, source = 'api') => ({
+  actor: req.auth.name,
+  actorId: req.auth.id,
+  source
+});
+
 // POST /api/callbacks - Create new callback request
-router.post('/', async (req, res) => {
+// Open to the public: bad credentials must not cost a lead, so they are ignored
+router.post('/', optionalAuthenticate, callbackRateLimit, validate({ body: createCallbackBody }), async (req, res) => {
   try {
-    const { name, phone, service_type, fromWhichUTM } = req.body;
-
-    // Validation
-    if (!name || !phone) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name and phone are required'
-      });
-    }
+    const { name, phone, service_type, fromWhichUTM, preferred_window, site } = req.body;
 
-    // Basic phone validation
-    const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-    if (!phoneRegex.test(phone.replace(/[\s\-\(\)]/g, ''))) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid phone number format'
-      });
-    }
+    // Phone was validated by the schema (numbers without a country code use DEFAULT_PHONE_COUNTRY)
+    const parsedPhone = parsePhone(phone);
 
     const callbackData = {
-      name: name.trim(),
-      phone: phone.trim(),
-      service_type: service_type?.trim() || null,
-      fromWhichUTM: fromWhichUTM || null
+      name,
+      phone: parsedPhone.raw,
+      phone_normalized: parsedPhone.e164,
+      service_type,
+      fromWhichUTM,
+      preferred_window,
+      site: site || normalizeSite(req.get('Origin') || req.get('Referer'))
     };
 
-    const result = await createCallbackRequest(callbackData);
+    const { repeat_submission: isRepeat, ...result } = await createCallbackRequest(callbackData, auditContext(req));
 
-    res.status(201).json({
+    // A repeat submission is attached to the open request with the same phone
+    res.status(isRepeat ? 200 : 201).json({
       success: true,
       data: result,
-      message: 'Callback request created successfully'
+      repeat: Boolean(isRepeat),
+      message: isRepeat
+        ? 'Callback request already exists; submission attached'
+        : 'Callback request created successfully'
     });
 
   } catch (error) {
@@ -57,31 +88,28 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/callbacks - Get all callback requests with pagination
-router.get('/', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 50,
-      status,
-      sortBy = 'created_at',
-      sortOrder = 'desc'
-    } = req.query;
+// Every other route needs valid credentials; it is registered after POST /
+// so the public form never reaches it
+router.use(authenticate);
 
-    const options = {
-      page: parseInt(page),
-      limit: Math.min(parseInt(limit), 100), // Max 100 per page
-      status,
-      sortBy,
-      sortOrder
-    };
+// Filters from a validated query that were actually provided
+const pickAppliedFilters = (query) => Object.fromEntries(
+  FILTER_FIELDS
+    .filter(field => query[field] !== undefined && query[field] !== null)
+    .map(field => [field, query[field]])
+);
 
-    const result = await getAllCallbacks(options);
+// GET /api/callbacks - Get all callback requests with pagination, search and filters
+router.get('/', requireRole('worker'), validate({ query: listCallbacksQuery }), async (req, res) => {
+  try {
+    // page, limit (max 100), filters and sortBy (allowlisted) were validated by the schema
+    const result = await getAllCallbacks(req.query);
 
     res.json({
       success: true,
       data: result.data,
       pagination: result.pagination,
+      filters: pickAppliedFilters(req.query),
       message: 'Callbacks retrieved successfully'
     });
 
@@ -95,10 +123,84 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/callbacks/export - Export filtered callbacks as CSV or XLSX
+router.get('/export', requireRole('worker'), validate({ query: exportCallbacksQuery }), async (req, res) => {
+  const { format, timezone } = req.query;
+  const filters = pickAppliedFilters(req.query);
+  const filename = `callbacks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+
+    const count = format === 'xlsx'
+      ? await streamCallbacksXlsx(res, filters, timezone)
+      : await streamCallbacksCsv(res, filters, timezone);
+
+    console.log(`📤 Exported ${count} callbacks as ${format}`);
+  } catch (error) {
+    console.error('❌ Error exporting callbacks:', error);
+
+    // Once rows are streaming the status can no longer change; cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/callbacks/bulk - Run one action over a list of ids or a filter
+router.post('/bulk', requireRole('worker'), validate({ body: bulkActionBody }), async (req, res) => {
+  try {
+    const { action, ids, filter, params, dryRun } = req.body;
+
+    // Deleting is admin-only, in bulk as well as one at a time
+    if (action === 'delete' && req.auth.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'This action requires the admin role'
+      });
+    }
+
+    const result = await runBulkAction({
+      action,
+      ids,
+      filters: filter,
+      params,
+      dryRun,
+      context: auditContext(req, 'bulk')
+    });
+
+    res.json({
+      success: result.summary.failed === 0,
+      data: result,
+      message: dryRun
+        ? 'Dry run completed; nothing was changed'
+        : `Bulk ${action} completed: ${result.summary.succeeded} succeeded, ${result.summary.failed} failed`
+    });
+
+  } catch (error) {
+    console.error('❌ Error running bulk action:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /api/callbacks/stats - Get callback statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireRole('worker'), validate({ query: statsQuery }), async (req, res) => {
   try {
-    const { timeRange = '30d' } = req.query;
+    const { timeRange } = req.query;
     
     const stats = await getCallbackStats(timeRange);
 
@@ -118,8 +220,54 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /api/callbacks/sla - Open callbacks that breach their SLA right now
+router.get('/sla', requireRole('worker'), async (req, res) => {
+  try {
+    const checkedAt = new Date();
+    const breaches = await getSlaBreaches(checkedAt);
+
+    res.json({
+      success: true,
+      data: breaches,
+      checkedAt: checkedAt.toISOString(),
+      message: 'SLA breaches retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting SLA breaches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/callbacks/trash - List soft-deleted callbacks
+router.get('/trash', requireRole('worker'), validate({ query: trashQuery }), async (req, res) => {
+  try {
+    const result = await getDeletedCallbacks(req.query);
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      retentionDays: result.retentionDays,
+      message: 'Deleted callbacks retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting deleted callbacks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /api/callbacks/:id - Get specific callback by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireRole('worker'), validate({ params: callbackIdParams }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -148,26 +296,197 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PATCH /api/callbacks/:id - Update callback status
-router.patch('/:id', async (req, res) => {
+// GET /api/callbacks/:id/history - Get the change history of a callback
+router.get('/:id/history', requireRole('worker'), validate({ params: callbackIdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // History stays readable while the callback is in the trash
+    const callback = await getCallbackById(id, { includeDeleted: true });
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Callback not found'
+      });
+    }
+
+    const history = await getCallbackHistory(id);
+
+    res.json({
+      success: true,
+      data: history,
+      message: 'History retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting callback history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/callbacks/:id/notes - Get the notes of a callback
+router.get('/:id/notes', requireRole('worker'), validate({ params: callbackIdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const callback = await getCallbackById(id);
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Callback not found'
+      });
+    }
+
+    const notes = await getNotes(id);
+
+    res.json({
+      success: true,
+      data: notes,
+      message: 'Notes retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting notes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/callbacks/:id/notes - Add a note and post it to the callback's Telegram thread
+router.post('/:id/notes', requireRole('worker'), validate({ params: callbackIdParams, body: noteBody }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, completed_by } = req.body;
 
-    // Validate status
-    const validStatuses = ['pending', 'in_progress', 'contacted', 'completed', 'cancelled'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({
+    const callback = await getCallbackById(id);
+    if (!callback) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+        error: 'Callback not found'
       });
     }
 
+    const note = await createNote(id, {
+      text: req.body.text,
+      author: req.auth.name,
+      authorId: req.auth.id,
+      source: 'api'
+    });
+
+    // Posting to Telegram is best effort; the note is saved either way
+    try {
+      await postNoteToThread(callback, note);
+    } catch (telegramError) {
+      console.error('❌ Error posting note to Telegram:', telegramError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: note,
+      message: 'Note added successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/callbacks/:id/appointments - Get the appointments booked for a callback
+router.get('/:id/appointments', requireRole('worker'), validate({ params: callbackIdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const callback = await getCallbackById(id);
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Callback not found'
+      });
+    }
+
+    const appointments = await getAppointmentsForCallback(id);
+
+    res.json({
+      success: true,
+      data: appointments,
+      message: 'Appointments retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting appointments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/callbacks/:id/appointments - Book a technician visit and confirm it in the Telegram thread
+router.post('/:id/appointments', requireRole('worker'), validate({ params: callbackIdParams, body: createAppointmentBody }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const callback = await getCallbackById(id);
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Callback not found'
+      });
+    }
+    if (!OPEN_STATUSES.includes(callback.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot book a visit for a ${callback.status} callback`
+      });
+    }
+
+    // 409 with the clashing bookings when the technician is busy
+    const appointment = await createAppointment(id, req.body, auditContext(req));
+    await announceAppointment(callback, appointment, 'scheduled');
+
+    res.status(201).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment booked successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error booking appointment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      code: error.code,
+      conflicts: error.conflicts,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/callbacks/:id - Update callback status
+router.patch('/:id', requireRole('worker'), validate({ params: callbackIdParams, body: updateCallbackBody }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, completed_by, cancellation_reason } = req.body;
+
     const updateData = {};
     if (status) updateData.status = status;
-    if (completed_by) updateData.completed_by = completed_by.trim();
+    if (completed_by) updateData.completed_by = completed_by;
+    if (cancellation_reason) updateData.cancellation_reason = cancellation_reason;
 
-    const result = await updateCallbackStatus(id, updateData);
+    // Status changes are checked against the lifecycle (409/422 on violations)
+    const result = await updateCallbackStatus(id, updateData, auditContext(req));
 
     res.json({
       success: true,
@@ -177,31 +496,81 @@ router.patch('/:id', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error updating callback:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Internal server error',
+      error: error.status ? error.message : 'Internal server error',
+      code: error.code,
+      allowed: error.allowed,
+      fields: error.fields,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/callbacks/:id/merge - Merge another callback into this one
+router.post('/:id/merge', requireRole('admin'), validate({ params: callbackIdParams, body: mergeCallbackBody }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { source_id } = req.body;
+
+    const result = await mergeCallbacks(id, source_id, auditContext(req));
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Callbacks merged successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error merging callbacks:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/callbacks/:id/restore - Restore a callback from the trash
+router.post('/:id/restore', requireRole('worker'), validate({ params: callbackIdParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await restoreCallback(id, auditContext(req));
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Callback restored successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error restoring callback:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// DELETE /api/callbacks/:id - Delete callback
-router.delete('/:id', async (req, res) => {
+// DELETE /api/callbacks/:id - Move callback to the trash
+router.delete('/:id', requireRole('admin'), validate({ params: callbackIdParams }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await deleteCallback(id);
+    await deleteCallback(id, auditContext(req));
 
     res.json({
       success: true,
-      message: 'Callback deleted successfully'
+      message: 'Callback moved to trash'
     });
 
   } catch (error) {
     console.error('❌ Error deleting callback:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Internal server error',
+      error: error.status ? error.message : 'Internal server error',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
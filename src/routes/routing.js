@@ -0,0 +1,174 @@
+import express from 'express';
+import {
+  getRoutingRules,
+  getRoutingRuleById,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  explainRoute
+} from '../services/routingService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  routingRuleIdParams,
+  createRoutingRuleBody,
+  updateRoutingRuleBody,
+  listRoutingRulesQuery,
+  testRouteBody
+} from '../schemas/routing.js';
+
+const router = express.Router();
+
+// Routing rules decide where new leads are posted; admins only
+router.use(authenticate, requireRole('admin'));
+
+// GET /api/routing-rules - List rules in the order they are tried
+router.get('/', validate({ query: listRoutingRulesQuery }), async (req, res) => {
+  try {
+    const rules = await getRoutingRules({ active: req.query.active });
+
+    res.json({
+      success: true,
+      data: rules,
+      message: 'Routing rules retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting routing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/routing-rules/test - Show which route a sample lead would take
+router.post('/test', validate({ body: testRouteBody }), async (req, res) => {
+  try {
+    const { at, ...lead } = req.body;
+    const result = await explainRoute(lead, at ? new Date(at) : new Date());
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.route.rule
+        ? `Lead would be routed by rule "${result.route.rule.name}"`
+        : 'No rule matches; lead would use the default route'
+    });
+
+  } catch (error) {
+    console.error('❌ Error testing route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/routing-rules/:id - Get one rule
+router.get('/:id', validate({ params: routingRuleIdParams }), async (req, res) => {
+  try {
+    const rule = await getRoutingRuleById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Routing rule retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting routing rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/routing-rules - Add a rule
+router.post('/', validate({ body: createRoutingRuleBody }), async (req, res) => {
+  try {
+    const rule = await createRoutingRule(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Routing rule created successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating routing rule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/routing-rules/:id - Change a rule's conditions, target, priority or active flag
+router.patch('/:id', validate({ params: routingRuleIdParams, body: updateRoutingRuleBody }), async (req, res) => {
+  try {
+    const rule = await updateRoutingRule(req.params.id, req.body);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Routing rule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating routing rule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/routing-rules/:id - Remove a rule (deactivate it to keep it on record)
+router.delete('/:id', validate({ params: routingRuleIdParams }), async (req, res) => {
+  try {
+    const deleted = await deleteRoutingRule(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Routing rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting routing rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import {
+  telegramMode,
+  TELEGRAM_WEBHOOK_PATH,
+  isValidWebhookSecret,
+  processWebhookUpdate
+} from '../services/telegramBot.js';
+import {
+  getTelegramQueueStats,
+  getDeadLetters,
+  retryDeadLetter,
+  clearDeadLetters
+} from '../services/telegramQueue.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { deadLetterIdParams } from '../schemas/telegram.js';
+
+const router = express.Router();
+
+// Mounted at the app root: the path is TELEGRAM_WEBHOOK_PATH, the same one
+// registered with Telegram, wherever it points
+export const webhookRouter = express.Router();
+
+// POST TELEGRAM_WEBHOOK_PATH (default /api/telegram/webhook) - Receive bot updates from Telegram (TELEGRAM_MODE=webhook)
+webhookRouter.post(TELEGRAM_WEBHOOK_PATH, (req, res) => {
+  if (telegramMode !== 'webhook') {
+    return res.status(404).json({
+      success: false,
+      error: 'Telegram webhook is not enabled'
+    });
+  }
+
+  // Telegram echoes the secret given to setWebHook in this header
+  if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    console.warn('⚠️ Telegram webhook request with an invalid secret token');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid secret token'
+    });
+  }
+
+  if (!req.body || typeof req.body.update_id !== 'number') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid update'
+    });
+  }
+
+  // Handlers run in the background; Telegram only needs a quick 200
+  processWebhookUpdate(req.body);
+  res.sendStatus(200);
+});
+
+// GET /api/telegram/queue - Outbound message queue depth and counters (admin)
+router.get('/queue', authenticate, requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: getTelegramQueueStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/telegram/dead-letters - Messages that failed after every retry (admin)
+router.get('/dead-letters', authenticate, requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: getDeadLetters(),
+    message: 'Dead letters retrieved successfully'
+  });
+});
+
+// POST /api/telegram/dead-letters/:id/retry - Queue a failed message again (admin)
+router.post('/dead-letters/:id/retry', authenticate, requireRole('admin'), validate({ params: deadLetterIdParams }), (req, res) => {
+  if (!retryDeadLetter(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead letter not found'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Message queued for retry'
+  });
+});
+
+// DELETE /api/telegram/dead-letters - Drop all dead letters (admin)
+router.delete('/dead-letters', authenticate, requireRole('admin'), (req, res) => {
+  const count = clearDeadLetters();
+
+  res.json({
+    success: true,
+    data: { cleared: count },
+    message: 'Dead letters cleared'
+  });
+});
+
+export default router;
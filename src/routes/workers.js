@@ -0,0 +1,148 @@
+import express from 'express';
+import {
+  getWorkers,
+  getWorkerById,
+  createWorker,
+  updateWorker,
+  deleteWorker
+} from '../services/workerService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  workerIdParams,
+  createWorkerBody,
+  updateWorkerBody,
+  listWorkersQuery
+} from '../schemas/workers.js';
+
+const router = express.Router();
+
+// Workers can see the roster; only admins change it
+router.use(authenticate, requireRole('worker'));
+
+// GET /api/workers - List the worker roster
+router.get('/', validate({ query: listWorkersQuery }), async (req, res) => {
+  try {
+    const workers = await getWorkers({ active: req.query.active });
+
+    res.json({
+      success: true,
+      data: workers,
+      message: 'Workers retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting workers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/workers/:id - Get one worker
+router.get('/:id', validate({ params: workerIdParams }), async (req, res) => {
+  try {
+    const worker = await getWorkerById(req.params.id);
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Worker not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: worker,
+      message: 'Worker retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting worker:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/workers - Add a worker
+router.post('/', requireRole('admin'), validate({ body: createWorkerBody }), async (req, res) => {
+  try {
+    const worker = await createWorker(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: worker,
+      message: 'Worker created successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating worker:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/workers/:id - Update a worker (name, Telegram id, active flag, service types)
+router.patch('/:id', requireRole('admin'), validate({ params: workerIdParams, body: updateWorkerBody }), async (req, res) => {
+  try {
+    const worker = await updateWorker(req.params.id, req.body);
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Worker not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: worker,
+      message: 'Worker updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating worker:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/workers/:id - Remove a worker (deactivate instead to keep them on record)
+router.delete('/:id', requireRole('admin'), validate({ params: workerIdParams }), async (req, res) => {
+  try {
+    const deleted = await deleteWorker(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Worker not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Worker deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting worker:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+import { z } from 'zod';
+import { DEFAULT_CUSTOMER_TIMEZONE } from '../services/callbackService.js';
+import { APPOINTMENT_STATUSES, APPOINTMENT_OUTCOMES } from '../services/appointmentService.js';
+import { isValidTimezone } from '../utils/time.js';
+
+// Longest slot one appointment may block
+const MAX_SLOT_HOURS = 12;
+
+export const appointmentIdParams = z.object({
+  id: z.string().uuid('Invalid appointment id')
+});
+
+// ISO datetime with an offset, stored as UTC
+const slotTime = z
+  .string()
+  .datetime({ offset: true, message: 'Must be an ISO datetime with timezone offset' })
+  .transform(value => new Date(value).toISOString());
+
+const applianceText = z.string().trim().max(200, 'Must be at most 200 characters').optional();
+
+const appliance = z.object({
+  type: applianceText,
+  brand: applianceText,
+  model: applianceText,
+  issue: z.string().trim().max(1000, 'Must be at most 1000 characters').optional()
+}).strict();
+
+// Slot must end after it starts and fit into MAX_SLOT_HOURS
+const checkSlot = (body, ctx) => {
+  if (!body.starts_at || !body.ends_at) return;
+
+  const duration = new Date(body.ends_at) - new Date(body.starts_at);
+  if (duration <= 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['ends_at'], message: 'ends_at must be after starts_at' });
+  } else if (duration > MAX_SLOT_HOURS * 60 * 60 * 1000) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['ends_at'], message: `Slot must be at most ${MAX_SLOT_HOURS} hours` });
+  }
+};
+
+const appointmentFields = {
+  technician_id: z.coerce.number({ required_error: 'technician_id is required' }).int().positive('Invalid worker id'),
+  starts_at: slotTime,
+  ends_at: slotTime,
+  // Timezone the slot is shown in
+  timezone: z.string().trim().refine(isValidTimezone, 'Unknown timezone'),
+  address: z.string({ required_error: 'Address is required' })
+    .trim()
+    .min(1, 'Address is required')
+    .max(500, 'Must be at most 500 characters'),
+  appliance: appliance.optional(),
+  notes: z.string().trim().max(2000, 'Must be at most 2000 characters').nullish()
+};
+
+export const createAppointmentBody = z.object({
+  ...appointmentFields,
+  timezone: appointmentFields.timezone.default(DEFAULT_CUSTOMER_TIMEZONE)
+}).superRefine(checkSlot);
+
+// Moving the slot or technician is re-checked for conflicts
+export const rescheduleAppointmentBody = z.object(appointmentFields).partial().refine(
+  body => Object.values(body).some(value => value !== undefined),
+  'At least one field is required'
+).superRefine(checkSlot);
+
+export const cancelAppointmentBody = z.object({
+  reason: z.string({ required_error: 'Reason is required' })
+    .trim()
+    .min(1, 'Reason is required')
+    .max(500, 'Must be at most 500 characters')
+});
+
+export const appointmentOutcomeBody = z.object({
+  outcome: z.enum(APPOINTMENT_OUTCOMES),
+  notes: z.string().trim().max(2000, 'Must be at most 2000 characters').optional()
+});
+
+export const listAppointmentsQuery = z.object({
+  technician_id: z.coerce.number().int().positive('Invalid worker id').optional(),
+  status: z.enum(APPOINTMENT_STATUSES).optional(),
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional()
+});
@@ -0,0 +1,202 @@
+import { z } from 'zod';
+import { parsePhone } from '../utils/phone.js';
+import { CALLBACK_STATUSES, DEFAULT_CUSTOMER_TIMEZONE, getEffectiveFilters } from '../services/callbackService.js';
+import { DEFAULT_EXPORT_TIMEZONE } from '../services/exportService.js';
+import { BULK_ACTIONS, BULK_MAX_ITEMS } from '../services/bulkService.js';
+import { decodeCursor } from '../utils/cursor.js';
+import { normalizeSite } from '../services/routingService.js';
+import { isValidTimezone, CLOCK_TIME_PATTERN, resolveTimeWindow } from '../utils/time.js';
+
+// Columns the list endpoint may sort by
+// due_at is the start of the customer's preferred window, or creation time without one
+export const SORTABLE_COLUMNS = ['created_at', 'updated_at', 'completed_at', 'due_at', 'status', 'name', 'service_type'];
+
+// Optional trimmed string; empty strings become null
+const optionalText = (max) => z
+  .string()
+  .trim()
+  .max(max, `Must be at most ${max} characters`)
+  .nullish()
+  .transform(value => value || null);
+
+const utmValue = z.string().trim().max(200, 'Must be at most 200 characters').optional();
+
+// UTM data may come as an object or as the JSON string the site stores
+const utmSchema = z.union([
+  z.object({
+    source: utmValue,
+    medium: utmValue,
+    campaign: utmValue,
+    term: utmValue,
+    content: utmValue
+  }).strict(),
+  z.string().trim().max(2000, 'Must be at most 2000 characters')
+]).nullish().transform(value => value || null);
+
+const clockTime = z.string().trim().regex(CLOCK_TIME_PATTERN, 'Must be a time as HH:MM');
+
+// When the customer wants to be called, in their local time. Without a date the
+// next such window is used; "to" before "from" means the window runs past midnight.
+const preferredWindow = z.object({
+  from: clockTime,
+  to: clockTime,
+  date: z.string().date('Must be a date as YYYY-MM-DD').optional(),
+  timezone: z.string().trim().refine(isValidTimezone, 'Unknown timezone').default(DEFAULT_CUSTOMER_TIMEZONE)
+}).strict().refine(window => window.from !== window.to, {
+  message: 'from and to must differ',
+  path: ['to']
+}).refine(window => window.from === window.to || resolveTimeWindow(window).end > new Date(), {
+  // Only a pinned date can be in the past; its reminder would never fire
+  message: 'The window is already over',
+  path: ['date']
+});
+
+// callback_requests.id is TEXT, so any short non-empty id is accepted
+const callbackId = z.string()
+  .trim()
+  .min(1, 'Invalid callback id')
+  .max(100, 'Invalid callback id');
+
+export const callbackIdParams = z.object({
+  id: callbackId
+});
+
+export const createCallbackBody = z.object({
+  name: z.string({ required_error: 'Name is required' })
+    .trim()
+    .min(1, 'Name is required')
+    .max(100, 'Must be at most 100 characters'),
+  phone: z.string({ required_error: 'Phone is required' })
+    .trim()
+    .min(1, 'Phone is required')
+    .max(32, 'Must be at most 32 characters')
+    .refine(value => parsePhone(value) !== null, 'Invalid phone number format'),
+  service_type: optionalText(100),
+  fromWhichUTM: utmSchema,
+  preferred_window: preferredWindow.optional(),
+  // Site or brand the form is on; defaults to the request's Origin
+  site: z.string().trim().max(200, 'Must be at most 200 characters').nullish().transform(normalizeSite)
+});
+
+// ISO datetime or plain date (YYYY-MM-DD). A plain date used as an upper bound
+// covers the whole day.
+const isoDatetime = z.string().datetime({ offset: true });
+const isoDate = z.string().date();
+
+const dateBound = (endOfDay) => z
+  .string()
+  .trim()
+  .refine(
+    value => isoDatetime.safeParse(value).success || isoDate.safeParse(value).success,
+    'Must be an ISO date or datetime'
+  )
+  .optional()
+  .transform(value => {
+    if (!value || value.includes('T')) return value;
+    return endOfDay ? `${value}T23:59:59.999Z` : `${value}T00:00:00.000Z`;
+  });
+
+const filterText = z.string().trim().min(1).max(100).optional();
+
+// Filters shared by the list, export and bulk endpoints (combined with AND)
+export const callbackFilters = z.object({
+  q: z.string().trim().min(1).max(100).optional(),
+  // Comma-separated in query strings, or an array in JSON bodies
+  status: z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .transform(value => (Array.isArray(value) ? value : value?.split(','))
+      ?.map(item => item.trim())
+      .filter(Boolean))
+    .pipe(z.array(z.enum(CALLBACK_STATUSES)).optional()),
+  service_type: filterText,
+  assigned_to: filterText,
+  completed_by: filterText,
+  created_from: dateBound(false),
+  created_to: dateBound(true),
+  utm_source: filterText,
+  utm_campaign: filterText
+});
+
+// Names of the filter fields, used to echo the applied filters back
+export const FILTER_FIELDS = Object.keys(callbackFilters.shape);
+
+const booleanFlag = z.enum(['true', 'false']).transform(value => value === 'true');
+
+export const listCallbacksQuery = callbackFilters.extend({
+  pagination: z.enum(['offset', 'cursor']).default('offset'),
+  cursor: z.string().max(500).refine(value => decodeCursor(value) !== null, 'Invalid cursor').optional(),
+  includeCount: booleanFlag.optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  sortBy: z.enum(SORTABLE_COLUMNS).default('created_at'),
+  sortOrder: z.enum(['asc', 'desc']).default('desc')
+}).refine(
+  query => !(query.pagination === 'cursor' || query.cursor) || query.sortBy === 'created_at',
+  { message: 'Cursor pagination only supports sortBy=created_at', path: ['sortBy'] }
+);
+
+export const exportCallbacksQuery = callbackFilters.extend({
+  format: z.enum(['csv', 'xlsx']).default('csv'),
+  timezone: z.string().trim().refine(isValidTimezone, 'Unknown timezone').default(DEFAULT_EXPORT_TIMEZONE)
+});
+
+export const trashQuery = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(50)
+});
+
+export const statsQuery = z.object({
+  timeRange: z.enum(['24h', '7d', '30d']).default('30d')
+});
+
+export const updateCallbackBody = z.object({
+  status: z.enum(CALLBACK_STATUSES).optional(),
+  completed_by: optionalText(100),
+  cancellation_reason: optionalText(500)
+}).refine(
+  body => body.status !== undefined || body.completed_by || body.cancellation_reason,
+  'At least one of status, completed_by or cancellation_reason is required'
+);
+
+export const noteBody = z.object({
+  text: z.string({ required_error: 'Text is required' })
+    .trim()
+    .min(1, 'Text is required')
+    .max(2000, 'Must be at most 2000 characters')
+});
+
+export const mergeCallbackBody = z.object({
+  source_id: z.string({ required_error: 'source_id is required' }).pipe(callbackId)
+});
+
+export const bulkActionBody = z.object({
+  action: z.enum(BULK_ACTIONS),
+  ids: z.array(callbackId).min(1).max(BULK_MAX_ITEMS).optional(),
+  filter: callbackFilters.optional(),
+  params: z.object({
+    status: z.enum(CALLBACK_STATUSES).optional(),
+    completed_by: optionalText(100),
+    cancellation_reason: optionalText(500),
+    assigned_to: optionalText(100)
+  }).default({}),
+  dryRun: z.boolean().default(false)
+}).superRefine((body, ctx) => {
+  if (Boolean(body.ids) === Boolean(body.filter)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Provide either ids or filter', path: ['ids'] });
+  }
+  // A filter that narrows nothing down would match every callback
+  if (body.filter && getEffectiveFilters(body.filter).length === 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Filter must contain at least one condition', path: ['filter'] });
+  }
+  if (body.action === 'status' && !body.params.status) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'params.status is required', path: ['params', 'status'] });
+  }
+  const cancels = body.action === 'cancel' || body.params.status === 'cancelled';
+  if (cancels && !body.params.cancellation_reason) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'params.cancellation_reason is required', path: ['params', 'cancellation_reason'] });
+  }
+  if (body.action === 'assign' && !body.params.assigned_to) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'params.assigned_to is required', path: ['params', 'assigned_to'] });
+  }
+});
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { workingHours } from './workers.js';
+import { normalizeSite } from '../services/routingService.js';
+
+export const routingRuleIdParams = z.object({
+  id: z.coerce.number().int().positive('Invalid routing rule id')
+});
+
+// Empty list: the rule matches any value
+const textList = (max) => z
+  .array(z.string().trim().min(1).max(max))
+  .max(50)
+  .transform(values => [...new Set(values)]);
+
+// Sites are compared by host name, e.g. "https://www.brand.com/" -> "brand.com"
+const siteList = textList(200).transform(sites => [...new Set(sites.map(normalizeSite))]);
+
+// Chat ids are integers, negative for groups; accept them as numbers or digit strings
+const chatId = z
+  .union([z.number().int(), z.string().trim().regex(/^-?\d+$/, 'Must be a numeric Telegram chat id')])
+  .transform(Number)
+  .refine(value => value !== 0, 'Must be a numeric Telegram chat id');
+
+const ruleFields = {
+  name: z.string({ required_error: 'Name is required' })
+    .trim()
+    .min(1, 'Name is required')
+    .max(100, 'Must be at most 100 characters'),
+  // Lower runs first
+  priority: z.number().int().min(0).max(10000).optional(),
+  active: z.boolean().optional(),
+  service_types: textList(100).optional(),
+  utm_sources: textList(200).optional(),
+  sites: siteList.optional(),
+  // Weekly hours as on the worker roster; null matches any time
+  hours: workingHours.optional(),
+  chat_id: chatId,
+  // Forum topic (message_thread_id); null posts to the chat itself
+  topic_id: z.number().int().positive().nullable().optional()
+};
+
+export const createRoutingRuleBody = z.object(ruleFields);
+
+export const updateRoutingRuleBody = z.object(ruleFields).partial().refine(
+  body => Object.values(body).some(value => value !== undefined),
+  'At least one field is required'
+);
+
+export const listRoutingRulesQuery = z.object({
+  active: z.enum(['true', 'false']).transform(value => value === 'true').optional()
+});
+
+// Sample lead for the route test; `at` defaults to now
+export const testRouteBody = z.object({
+  service_type: z.string().trim().max(100).nullish(),
+  utm_source: z.string().trim().max(200).nullish(),
+  site: z.string().trim().max(200).nullish().transform(normalizeSite),
+  at: z.string().datetime({ offset: true, message: 'Must be an ISO datetime with timezone offset' }).optional()
+});
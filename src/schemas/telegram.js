@@ -0,0 +1,5 @@
+import { z } from 'zod';
+
+export const deadLetterIdParams = z.object({
+  id: z.coerce.number().int().positive('Invalid dead letter id')
+});
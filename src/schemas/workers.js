@@ -0,0 +1,60 @@
+import { z } from 'zod';
+import { isValidTimezone, TIME_RANGE_PATTERN } from '../utils/time.js';
+import { SUPPORTED_LOCALES } from '../utils/i18n.js';
+
+export const workerIdParams = z.object({
+  id: z.coerce.number().int().positive('Invalid worker id')
+});
+
+// Telegram user ids are numeric; accept them as numbers or digit strings
+const telegramUserId = z
+  .union([z.number().int().positive(), z.string().trim().regex(/^\d+$/, 'Must be a numeric Telegram user id')])
+  .nullable()
+  .transform(value => (value === null ? null : Number(value)));
+
+const serviceTypes = z
+  .array(z.string().trim().min(1).max(100))
+  .max(50)
+  .transform(types => [...new Set(types)]);
+
+// Shift per weekday as "HH:MM-HH:MM" (may run past midnight); missing days are days off
+const shift = z.string().trim().regex(TIME_RANGE_PATTERN, 'Must look like 09:00-18:00').optional();
+
+// null means always available
+export const workingHours = z.object({
+  timezone: z.string().trim().refine(isValidTimezone, 'Unknown timezone'),
+  mon: shift,
+  tue: shift,
+  wed: shift,
+  thu: shift,
+  fri: shift,
+  sat: shift,
+  sun: shift
+}).strict().nullable();
+
+const workerFields = {
+  name: z.string({ required_error: 'Name is required' })
+    .trim()
+    .min(1, 'Name is required')
+    .max(50, 'Must be at most 50 characters'),
+  telegram_user_id: telegramUserId.optional(),
+  active: z.boolean().optional(),
+  // Mentioned when an unassigned callback breaches its SLA
+  on_call: z.boolean().optional(),
+  // Empty list: the worker handles every service type
+  service_types: serviceTypes.optional(),
+  working_hours: workingHours.optional(),
+  // Language of the bot's direct messages; null follows TELEGRAM_LOCALE
+  locale: z.enum(SUPPORTED_LOCALES).nullable().optional()
+};
+
+export const createWorkerBody = z.object(workerFields);
+
+export const updateWorkerBody = z.object(workerFields).partial().refine(
+  body => Object.values(body).some(value => value !== undefined),
+  'At least one field is required'
+);
+
+export const listWorkersQuery = z.object({
+  active: z.enum(['true', 'false']).transform(value => value === 'true').optional()
+});
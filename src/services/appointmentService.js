@@ -0,0 +1,309 @@
+import { supabase } from '../config/supabase.js';
+import { createHttpError } from '../utils/errors.js';
+import { getWorkerById } from './workerService.js';
+import { recordHistory } from './historyService.js';
+
+export const APPOINTMENT_STATUSES = ['scheduled', 'completed', 'cancelled'];
+
+// Result of a visit, recorded when the appointment is completed
+export const APPOINTMENT_OUTCOMES = ['repaired', 'needs_parts', 'not_repairable', 'customer_no_show', 'other'];
+
+// When set, a callback can only be completed once one of its appointments has an outcome
+export const REQUIRE_APPOINTMENT_OUTCOME = process.env.REQUIRE_APPOINTMENT_OUTCOME === 'true';
+
+const appointmentError = (status, code, message, extra = {}) => {
+  const error = createHttpError(status, message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Short form of an appointment for the callback history
+const summarize = (appointment) => appointment && {
+  id: appointment.id,
+  status: appointment.status,
+  starts_at: appointment.starts_at,
+  ends_at: appointment.ends_at,
+  technician_id: appointment.technician_id,
+  outcome: appointment.outcome || null
+};
+
+// The technician must be an active worker on the roster
+const requireTechnician = async (technicianId) => {
+  const technician = await getWorkerById(technicianId);
+  if (!technician || !technician.active) {
+    throw appointmentError(422, 'UNKNOWN_TECHNICIAN', 'Technician not found or inactive');
+  }
+  return technician;
+};
+
+// Scheduled appointments of a technician overlapping a time slot
+export const findConflicts = async (technicianId, startsAt, endsAt, excludeId = null) => {
+  let query = supabase
+    .from('appointments')
+    .select('*')
+    .eq('technician_id', technicianId)
+    .eq('status', 'scheduled')
+    .lt('starts_at', endsAt)
+    .gt('ends_at', startsAt);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Throw a 409 when the technician is already booked in the slot
+const requireFreeSlot = async (technicianId, startsAt, endsAt, excludeId = null) => {
+  const conflicts = await findConflicts(technicianId, startsAt, endsAt, excludeId);
+  if (conflicts.length > 0) {
+    throw appointmentError(409, 'APPOINTMENT_CONFLICT', 'Technician is already booked in this time slot', {
+      conflicts: conflicts.map(summarize)
+    });
+  }
+};
+
+// The exclusion constraint in add-appointments.sql catches bookings that race past the check
+const toAppointmentError = (error) => {
+  if (error.code === '23P01') {
+    return appointmentError(409, 'APPOINTMENT_CONFLICT', 'Technician is already booked in this time slot');
+  }
+  return new Error(`Database error: ${error.message}`);
+};
+
+// Get an appointment by ID
+export const getAppointmentById = async (id) => {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', id)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data[0] || null;
+};
+
+// Appointments of a callback, earliest first
+export const getAppointmentsForCallback = async (callbackId) => {
+  try {
+    const { data, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('callback_id', callbackId)
+      .order('starts_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error getting appointments:', error);
+    throw error;
+  }
+};
+
+// Appointments in a time range, optionally for one technician or status
+export const getAppointments = async ({ technician_id, status, from, to } = {}) => {
+  try {
+    let query = supabase
+      .from('appointments')
+      .select('*')
+      .order('starts_at', { ascending: true })
+      .limit(500);
+
+    if (technician_id) query = query.eq('technician_id', technician_id);
+    if (status) query = query.eq('status', status);
+    if (from) query = query.gte('ends_at', from);
+    if (to) query = query.lte('starts_at', to);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error getting appointments:', error);
+    throw error;
+  }
+};
+
+// Book a visit for a callback. `context` describes who booked it, as for the callback history.
+export const createAppointment = async (callbackId, appointmentData, context = {}) => {
+  try {
+    const { technician_id, starts_at, ends_at } = appointmentData;
+
+    await requireTechnician(technician_id);
+    await requireFreeSlot(technician_id, starts_at, ends_at);
+
+    const { data, error } = await supabase
+      .from('appointments')
+      .insert([{
+        callback_id: callbackId,
+        address: appointmentData.address,
+        appliance: appointmentData.appliance || {},
+        technician_id,
+        starts_at,
+        ends_at,
+        timezone: appointmentData.timezone,
+        notes: appointmentData.notes || null,
+        status: 'scheduled',
+        created_by: context.actor || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw toAppointmentError(error);
+    }
+
+    console.log(`📅 Appointment ${data.id} booked for callback ${callbackId}`);
+    await recordHistory(callbackId, { appointment: { from: null, to: summarize(data) } }, { ...context, event: 'appointment' });
+    return data;
+  } catch (error) {
+    console.error('❌ Error creating appointment:', error);
+    throw error;
+  }
+};
+
+// Load an appointment that can still be changed
+const getScheduledAppointment = async (id) => {
+  const current = await getAppointmentById(id);
+  if (!current) {
+    throw createHttpError(404, 'Appointment not found');
+  }
+  if (current.status !== 'scheduled') {
+    throw appointmentError(409, 'APPOINTMENT_CLOSED', `Appointment is already ${current.status}`);
+  }
+  return current;
+};
+
+// Apply a change to an appointment and record it in the callback history
+const changeAppointment = async (current, updates, context) => {
+  const { data, error } = await supabase
+    .from('appointments')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', current.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw toAppointmentError(error);
+  }
+
+  await recordHistory(data.callback_id, { appointment: { from: summarize(current), to: summarize(data) } }, { ...context, event: 'appointment' });
+  return { previous: current, appointment: data };
+};
+
+// Move an appointment to another slot and/or technician, or edit its details
+export const rescheduleAppointment = async (id, changes, context = {}) => {
+  try {
+    const current = await getScheduledAppointment(id);
+
+    const technicianId = changes.technician_id ?? current.technician_id;
+    const startsAt = changes.starts_at ?? current.starts_at;
+    const endsAt = changes.ends_at ?? current.ends_at;
+
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      throw createHttpError(400, 'ends_at must be after starts_at');
+    }
+    if (changes.technician_id !== undefined) {
+      await requireTechnician(technicianId);
+    }
+    await requireFreeSlot(technicianId, startsAt, endsAt, id);
+
+    const result = await changeAppointment(current, changes, context);
+    console.log(`📅 Appointment ${id} rescheduled`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error rescheduling appointment:', error);
+    throw error;
+  }
+};
+
+// Cancel a scheduled appointment
+export const cancelAppointment = async (id, reason, context = {}) => {
+  try {
+    const current = await getScheduledAppointment(id);
+    const result = await changeAppointment(current, {
+      status: 'cancelled',
+      cancellation_reason: reason,
+      cancelled_by: context.actor || null,
+      cancelled_at: new Date().toISOString()
+    }, context);
+
+    console.log(`📅 Appointment ${id} cancelled`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error cancelling appointment:', error);
+    throw error;
+  }
+};
+
+// Record how the visit went; this completes the appointment
+export const recordAppointmentOutcome = async (id, { outcome, notes }, context = {}) => {
+  try {
+    const current = await getScheduledAppointment(id);
+    const result = await changeAppointment(current, {
+      status: 'completed',
+      outcome,
+      outcome_notes: notes || null,
+      completed_at: new Date().toISOString()
+    }, context);
+
+    console.log(`📅 Appointment ${id} completed: ${outcome}`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error recording appointment outcome:', error);
+    throw error;
+  }
+};
+
+// Throw a 422 when REQUIRE_APPOINTMENT_OUTCOME is on and the callback has no
+// appointment with a recorded outcome
+export const requireAppointmentOutcome = async (callbackId) => {
+  if (!REQUIRE_APPOINTMENT_OUTCOME) return;
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id')
+    .eq('callback_id', callbackId)
+    .not('outcome', 'is', null)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (data.length === 0) {
+    throw appointmentError(422, 'APPOINTMENT_OUTCOME_REQUIRED', 'Completing this callback requires an appointment with a recorded outcome');
+  }
+};
+
+// Post an appointment change to the callback's Telegram thread. Best effort:
+// the change is saved whether or not the message goes out. The bot is loaded
+// lazily so validation and callback code can use this module without it.
+export const announceAppointment = async (callback, appointment, event) => {
+  try {
+    const { notifyAppointment } = await import('./telegramBot.js');
+    const technician = await getWorkerById(appointment.technician_id);
+    await notifyAppointment(callback, appointment, technician, event);
+  } catch (error) {
+    console.error('❌ Error posting appointment to Telegram:', error.message);
+  }
+};
@@ -0,0 +1,134 @@
+import { supabase } from '../config/supabase.js';
+import { getWorkers, handlesService } from './workerService.js';
+import { updateCallbackStatus, OPEN_STATUSES } from './callbackService.js';
+import { isWithinWeeklyHours } from '../utils/time.js';
+
+export const ASSIGNMENT_STRATEGIES = ['off', 'round_robin', 'least_loaded', 'skill'];
+
+// Actor recorded in the history for automatic assignments; shown translated
+// (see formatActor in telegramBot.js)
+export const AUTO_ASSIGN_ACTOR = 'auto';
+
+// Default strategy and per service type overrides,
+// e.g. AUTO_ASSIGN_STRATEGIES={"Plumbing":"skill","Cleaning":"round_robin"}
+const defaultStrategy = process.env.AUTO_ASSIGN_STRATEGY || 'off';
+
+const parseStrategies = (value) => {
+  if (!value) return {};
+  try {
+    const strategies = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(strategies)
+        .filter(([, strategy]) => ASSIGNMENT_STRATEGIES.includes(strategy))
+        .map(([serviceType, strategy]) => [serviceType.toLowerCase(), strategy])
+    );
+  } catch (error) {
+    console.error('❌ Invalid AUTO_ASSIGN_STRATEGIES, using AUTO_ASSIGN_STRATEGY for every service:', error.message);
+    return {};
+  }
+};
+
+const strategyOverrides = parseStrategies(process.env.AUTO_ASSIGN_STRATEGIES);
+
+// Strategy used for a service type
+export const getAssignmentStrategy = (serviceType) => {
+  const strategy = (serviceType && strategyOverrides[serviceType.toLowerCase()]) || defaultStrategy;
+  return ASSIGNMENT_STRATEGIES.includes(strategy) ? strategy : 'off';
+};
+
+// Whether a worker is on shift. working_hours looks like
+// { "timezone": "America/New_York", "mon": "09:00-18:00", ... }; days that are
+// missing are days off, and no working_hours at all means always available.
+export const isWorkingAt = (worker, date = new Date()) => {
+  const hours = worker.working_hours;
+  if (!hours) return true;
+  return isWithinWeeklyHours(hours, date);
+};
+
+// Open callbacks per worker id
+const getOpenLoad = async (workerIds) => {
+  const { data, error } = await supabase
+    .from('callback_requests')
+    .select('assigned_worker_id')
+    .in('assigned_worker_id', workerIds)
+    .in('status', OPEN_STATUSES)
+    .is('deleted_at', null);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const load = new Map(workerIds.map(id => [id, 0]));
+  for (const { assigned_worker_id: id } of data) {
+    load.set(id, (load.get(id) || 0) + 1);
+  }
+  return load;
+};
+
+// Worker who has waited longest since their last automatic assignment
+const byLastAssigned = (a, b) => new Date(a.last_assigned_at || 0) - new Date(b.last_assigned_at || 0);
+
+const pickLeastLoaded = async (candidates) => {
+  const load = await getOpenLoad(candidates.map(worker => worker.id));
+  return [...candidates].sort((a, b) => (load.get(a.id) - load.get(b.id)) || byLastAssigned(a, b))[0];
+};
+
+// Choose a worker for a callback, or null when nobody qualifies
+export const chooseWorker = async (callback, strategy, date = new Date()) => {
+  const workers = (await getWorkers({ active: true }))
+    .filter(worker => isWorkingAt(worker, date) && handlesService(worker, callback.service_type));
+  if (workers.length === 0) return null;
+
+  switch (strategy) {
+    case 'round_robin':
+      return [...workers].sort(byLastAssigned)[0];
+    case 'least_loaded':
+      return pickLeastLoaded(workers);
+    case 'skill': {
+      // Specialists in the service first, generalists only if there are none
+      const specialists = workers.filter(worker => worker.service_types?.length);
+      return pickLeastLoaded(specialists.length > 0 ? specialists : workers);
+    }
+    default:
+      return null;
+  }
+};
+
+// Assign a newly inserted callback with the strategy of its service type.
+// Returns the updated callback, or null when it was left for a human.
+export const autoAssignCallback = async (callback) => {
+  try {
+    if (callback.status !== 'pending' || callback.assigned_to) return null;
+
+    const strategy = getAssignmentStrategy(callback.service_type);
+    if (strategy === 'off') return null;
+
+    const worker = await chooseWorker(callback, strategy);
+    if (!worker) {
+      console.log(`🤖 No available worker for callback ${callback.id} (${strategy})`);
+      return null;
+    }
+
+    const updated = await updateCallbackStatus(callback.id, {
+      status: 'in_progress',
+      assigned_to: worker.name,
+      assigned_worker_id: worker.id,
+      auto_assigned: true
+    }, { actor: AUTO_ASSIGN_ACTOR, source: 'system' });
+
+    const { error } = await supabase
+      .from('workers')
+      .update({ last_assigned_at: new Date().toISOString() })
+      .eq('id', worker.id);
+
+    if (error) {
+      console.error('❌ Error updating worker rotation:', error.message);
+    }
+
+    console.log(`🤖 Callback ${callback.id} auto-assigned to ${worker.name} (${strategy})`);
+    return updated;
+  } catch (error) {
+    console.error('❌ Error auto-assigning callback:', error);
+    return null;
+  }
+};
@@ -0,0 +1,152 @@
+import { supabase } from '../config/supabase.js';
+import {
+  iterateCallbacks,
+  getEffectiveFilters,
+  updateCallbackStatus,
+  deleteCallback
+} from './callbackService.js';
+import { planStatusChange } from './statusLifecycle.js';
+import { requireAppointmentOutcome } from './appointmentService.js';
+import { getWorkerByName } from './workerService.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Upper bound on callbacks touched by one bulk request
+export const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS || '500', 10);
+
+export const BULK_ACTIONS = ['status', 'assign', 'cancel', 'delete'];
+
+// Fetch the callbacks for an explicit id list, keyed by id
+const getCallbacksByIds = async (ids) => {
+  const { data, error } = await supabase
+    .from('callback_requests')
+    .select('*')
+    .is('deleted_at', null)
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return new Map(data.map(callback => [callback.id, callback]));
+};
+
+// Resolve the target callbacks from ids or from list filters
+const resolveTargets = async ({ ids, filters }) => {
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    const found = await getCallbacksByIds(uniqueIds);
+    return uniqueIds.map(id => ({ id, callback: found.get(id) || null }));
+  }
+
+  // Never run an action over every callback; the schema checks this too
+  if (getEffectiveFilters(filters).length === 0) {
+    throw createHttpError(400, 'Filter must contain at least one condition');
+  }
+
+  const targets = [];
+  for await (const callback of iterateCallbacks(filters)) {
+    if (targets.length >= BULK_MAX_ITEMS) {
+      throw createHttpError(400, `Filter matches more than ${BULK_MAX_ITEMS} callbacks; narrow it down`);
+    }
+    targets.push({ id: callback.id, callback });
+  }
+  return targets;
+};
+
+// Field updates an action would make to one callback (null for delete)
+const buildUpdates = (action, params, callback) => {
+  switch (action) {
+    case 'status': {
+      const updates = { status: params.status };
+      if (params.completed_by) updates.completed_by = params.completed_by;
+      if (params.cancellation_reason) updates.cancellation_reason = params.cancellation_reason;
+      return updates;
+    }
+    case 'assign': {
+      const updates = { assigned_to: params.assigned_to, assigned_worker_id: params.assigned_worker_id, auto_assigned: false };
+      if (callback.status === 'pending') updates.status = 'in_progress';
+      return updates;
+    }
+    case 'cancel':
+      return { status: 'cancelled', cancellation_reason: params.cancellation_reason };
+    default:
+      return null;
+  }
+};
+
+// Column values are compared by content, so equal arrays (sla_alerts) are no change
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// { field: { from, to } } for the fields that would actually change
+const diffUpdates = (callback, updates) => Object.fromEntries(
+  Object.entries(updates)
+    .filter(([field, value]) => !sameValue(callback[field], value))
+    .map(([field, value]) => [field, { from: callback[field] ?? null, to: value }])
+);
+
+// Run one action over many callbacks. Each item is processed on its own, so
+// one failure does not stop the rest; with dryRun nothing is written, but
+// status transitions and required appointment outcomes are still checked so
+// the report matches a real run.
+export const runBulkAction = async ({ action, ids, filters, params = {}, dryRun = false, context = {} }) => {
+  const targets = await resolveTargets({ ids, filters });
+  const results = [];
+
+  // Link the assignment to the roster when the name matches a worker
+  if (action === 'assign') {
+    const worker = await getWorkerByName(params.assigned_to);
+    params = { ...params, assigned_worker_id: worker?.id ?? null };
+  }
+
+  for (const { id, callback } of targets) {
+    if (!callback) {
+      results.push({ id, success: false, error: 'Callback not found' });
+      continue;
+    }
+
+    try {
+      if (action === 'delete') {
+        if (!dryRun) await deleteCallback(id, context);
+        results.push({ id, success: true, deleted: true });
+        continue;
+      }
+
+      const requested = buildUpdates(action, params, callback);
+      if (Object.keys(diffUpdates(callback, requested)).length === 0) {
+        results.push({ id, success: true, changes: {}, skipped: 'No changes' });
+        continue;
+      }
+
+      // Throws for transitions the lifecycle does not allow
+      const planned = planStatusChange(callback, requested, context);
+      const changes = diffUpdates(callback, planned);
+
+      // updateCallbackStatus checks this too; repeated so a dry run reports it
+      if (dryRun && planned.status === 'completed' && callback.status !== 'completed') {
+        await requireAppointmentOutcome(id);
+      }
+
+      if (!dryRun) {
+        await updateCallbackStatus(id, requested, context);
+      }
+      results.push({ id, success: true, changes });
+    } catch (error) {
+      console.error(`❌ Bulk ${action} failed for callback ${id}:`, error.message);
+      results.push({ id, success: false, error: error.message });
+    }
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  console.log(`📦 Bulk ${action}${dryRun ? ' (dry run)' : ''}: ${results.length - failed} ok, ${failed} failed`);
+
+  return {
+    action,
+    dryRun,
+    summary: {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed
+    },
+    results
+  };
+};
@@ -1,14 +1,245 @@
 import { supabase } from '../config/supabase.js';
 import { v4 as uuidv4 } from 'uuid';
+import { normalizePhone } from '../utils/phone.js';
+import { createHttpError } from '../utils/errors.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { resolveTimeWindow } from '../utils/time.js';
+import { planStatusChange } from './statusLifecycle.js';
+import { recordHistory, recordCreated, diffTrackedFields, buildHistoryRows } from './historyService.js';
+import { requireAppointmentOutcome } from './appointmentService.js';
+
+// All callback statuses
+export const CALLBACK_STATUSES = ['pending', 'in_progress', 'contacted', 'completed', 'cancelled'];
+
+// Statuses that still need work; a repeat submission is attached to these
+export const OPEN_STATUSES = ['pending', 'in_progress', 'contacted'];
+
+// How far back to look for an open request with the same phone
+const duplicateWindowMinutes = parseInt(process.env.DUPLICATE_WINDOW_MINUTES || '1440', 10);
+
+// Timezone of a preferred callback window when the form does not send one
+export const DEFAULT_CUSTOMER_TIMEZONE = process.env.DEFAULT_CUSTOMER_TIMEZONE || 'America/New_York';
+
+// Days a soft-deleted callback stays in the trash before it is purged (0 keeps it forever)
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+// Snapshot of a form submission, stored in the submissions history of a request
+const toSubmission = (data, submittedAt, extra = {}) => ({
+  name: data.name,
+  phone: data.phone,
+  phone_normalized: data.phone_normalized || null,
+  service_type: data.service_type || null,
+  fromwhichutm: data.fromwhichutm || data.fromWhichUTM || null,
+  preferred_window: data.preferred_window || null,
+  site: data.site || null,
+  submitted_at: submittedAt,
+  ...extra
+});
+
+// Parse UTM data stored as a JSON string or object; returns null if it is neither
+export const parseUTM = (utmData) => {
+  if (!utmData) return null;
+  if (typeof utmData === 'object') return utmData;
 
-// Create a new callback request
-export const createCallbackRequest = async (callbackData) => {
   try {
+    const utm = JSON.parse(utmData);
+    return utm && typeof utm === 'object' ? utm : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Strip characters that have a meaning in PostgREST filter syntax
+const sanitizeSearch = (value) => value.replace(/[,()*%\\:"]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Case-insensitive exact match for ilike: LIKE wildcards and the escape
+// character are escaped. PostgREST turns * into %, so it is matched as any
+// single character instead.
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '_');
+
+// PostgREST or() conditions for a free-text search: partial name or phone (as
+// typed or normalized digits). Empty when nothing searchable is left.
+const getSearchConditions = (q) => {
+  const text = sanitizeSearch(q);
+  const digits = q.replace(/\D/g, '');
+  const conditions = [];
+  if (text) {
+    conditions.push(`name.ilike.*${text}*`, `phone.ilike.*${text}*`);
+  }
+  if (digits.length >= 3) {
+    conditions.push(`phone_normalized.ilike.*${digits}*`);
+  }
+  return conditions;
+};
+
+export const CALLBACK_FILTERS = [
+  'q',
+  'status',
+  'service_type',
+  'assigned_to',
+  'assigned_worker_id',
+  'completed_by',
+  'created_from',
+  'created_to',
+  'utm_source',
+  'utm_campaign'
+];
+
+// Filters that add a condition in applyCallbackFilters. An empty status list or
+// a search with no letters and too few digits narrows nothing down.
+export const getEffectiveFilters = (filters = {}) => CALLBACK_FILTERS.filter(name => {
+  const value = filters[name];
+  if (name === 'q') return Boolean(value) && getSearchConditions(value).length > 0;
+  if (name === 'status') return Boolean(value?.length);
+  return Boolean(value);
+});
+
+// Apply the list filters shared by the list, export and bulk endpoints.
+// All filters are combined with AND. Soft-deleted callbacks are always excluded.
+export const applyCallbackFilters = (query, filters = {}) => {
+  query = query.is('deleted_at', null);
+
+  const {
+    q,
+    status,
+    service_type,
+    assigned_to,
+    assigned_worker_id,
+    completed_by,
+    created_from,
+    created_to,
+    utm_source,
+    utm_campaign
+  } = filters;
+
+  if (q) {
+    const conditions = getSearchConditions(q);
+    if (conditions.length > 0) {
+      query = query.or(conditions.join(','));
+    }
+  }
+
+  if (status?.length) {
+    query = Array.isArray(status) ? query.in('status', status) : query.eq('status', status);
+  }
+  if (service_type) {
+    query = query.ilike('service_type', escapeLike(service_type));
+  }
+  if (assigned_to) {
+    query = query.eq('assigned_to', assigned_to);
+  }
+  // Roster link; not exposed in the query string, used by the bot's /my
+  if (assigned_worker_id) {
+    query = query.eq('assigned_worker_id', assigned_worker_id);
+  }
+  if (completed_by) {
+    query = query.ilike('completed_by', escapeLike(completed_by));
+  }
+  if (created_from) {
+    query = query.gte('created_at', created_from);
+  }
+  if (created_to) {
+    query = query.lte('created_at', created_to);
+  }
+  if (utm_source) {
+    query = query.eq('utm_source', utm_source);
+  }
+  if (utm_campaign) {
+    query = query.eq('utm_campaign', utm_campaign);
+  }
+
+  return query;
+};
+
+// Find the most recent open request with the same E.164 phone
+export const findOpenDuplicate = async (phoneNormalized) => {
+  try {
+    if (!phoneNormalized || !(duplicateWindowMinutes > 0)) return null;
+
+    const since = new Date(Date.now() - duplicateWindowMinutes * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('callback_requests')
+      .select('*')
+      .eq('phone_normalized', phoneNormalized)
+      .is('deleted_at', null)
+      .in('status', OPEN_STATUSES)
+      .or(`created_at.gte.${since},last_submitted_at.gte.${since}`)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data[0] || null;
+  } catch (error) {
+    console.error('❌ Error looking up duplicate callback:', error);
+    throw error;
+  }
+};
+
+// Absolute columns for a customer's preferred window (see resolveTimeWindow)
+const toPreferredWindowColumns = (preferredWindow) => {
+  const window = resolveTimeWindow(preferredWindow);
+  return {
+    preferred_start_at: window.start.toISOString(),
+    preferred_end_at: window.end.toISOString(),
+    preferred_timezone: preferredWindow.timezone
+  };
+};
+
+// Attach a repeat submission to an existing request instead of inserting a new row.
+// A preferred window in the repeat submission replaces the previous one.
+const attachSubmission = async (existing, callbackData, context) => {
+  const now = new Date().toISOString();
+  const submissions = [...(existing.submissions || []), toSubmission(callbackData, now)];
+
+  const updates = {
+    submissions,
+    repeat_count: (existing.repeat_count || 0) + 1,
+    last_submitted_at: now,
+    updated_at: now
+  };
+  if (callbackData.preferred_window) {
+    Object.assign(updates, toPreferredWindowColumns(callbackData.preferred_window), { reminder_sent_at: null });
+  }
+
+  const { data, error } = await supabase
+    .from('callback_requests')
+    .update(updates)
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🔁 Repeat submission attached to callback ${data.id} (×${data.repeat_count + 1})`);
+  await recordHistory(data.id, diffTrackedFields(existing, data), { ...context, event: 'repeat_submission' });
+  return data;
+};
+
+// Create a new callback request, or attach it to an open request with the same phone.
+// Repeat submissions come back with `repeat_submission: true`.
+export const createCallbackRequest = async (callbackData, context = {}) => {
+  try {
+    const phoneNormalized = callbackData.phone_normalized || normalizePhone(callbackData.phone);
+
+    const duplicate = await findOpenDuplicate(phoneNormalized);
+    if (duplicate) {
+      const merged = await attachSubmission(duplicate, callbackData, context);
+      return { ...merged, repeat_submission: true };
+    }
+
     const newCallback = {
       id: uuidv4(),
       name: callbackData.name,
       phone: callbackData.phone,
+      phone_normalized: phoneNormalized,
       service_type: callbackData.service_type || null,
+      site: callbackData.site || null,
       status: 'pending',
       created_at: new Date().toISOString(),
       updated_at: null,
@@ -16,10 +247,20 @@ export const createCallbackRequest = async (callbackData) => {
       completed_by: null
     };
 
+    // The customer's preferred window is stored as absolute times plus their timezone
+    if (callbackData.preferred_window) {
+      Object.assign(newCallback, toPreferredWindowColumns(callbackData.preferred_window));
+    }
+
     // Only include fromWhichUTM if provided (use lowercase to match database column name)
     if (callbackData.fromWhichUTM) {
       // Use lowercase 'fromwhichutm' to match the actual database column name
       newCallback.fromwhichutm = callbackData.fromWhichUTM;
+
+      // Keep source and campaign in their own columns so the list can filter on them
+      const utm = parseUTM(callbackData.fromWhichUTM);
+      newCallback.utm_source = utm?.source || null;
+      newCallback.utm_campaign = utm?.campaign || null;
     }
 
     const { data, error } = await supabase
@@ -47,6 +288,7 @@ export const createCallbackRequest = async (callbackData) => {
         }
         
         console.log('✅ Callback request created (without UTM):', retryData.id);
+        await recordCreated(retryData, context);
         return retryData;
       }
       
@@ -57,6 +299,7 @@ export const createCallbackRequest = async (callbackData) => {
     if (callbackData.fromWhichUTM) {
       console.log('📊 UTM data included:', callbackData.fromWhichUTM);
     }
+    await recordCreated(data, context);
     return data;
   } catch (error) {
     console.error('❌ Error in createCallbackRequest:', error);
@@ -64,14 +307,20 @@ export const createCallbackRequest = async (callbackData) => {
   }
 };
 
-// Get callback request by ID
-export const getCallbackById = async (id) => {
+// Get callback request by ID. Soft-deleted callbacks are treated as missing
+// unless includeDeleted is set.
+export const getCallbackById = async (id, { includeDeleted = false } = {}) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('callback_requests')
       .select('*')
-      .eq('id', id)
-      .single();
+      .eq('id', id);
+
+    if (!includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query.single();
 
     if (error) {
       if (error.code === 'PGRST116') {
@@ -87,25 +336,146 @@ export const getCallbackById = async (id) => {
   }
 };
 
-// Get all callback requests with pagination
+// Count callbacks matching the filters without fetching rows
+const countCallbacks = async (filters) => {
+  const query = applyCallbackFilters(
+    supabase.from('callback_requests').select('*', { count: 'exact', head: true }),
+    filters
+  );
+
+  const { count, error } = await query;
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return count;
+};
+
+// Fetch one page by keyset on (created_at, id). Stable while new rows arrive,
+// unlike offset paging. A cursor carries its own direction and sort order.
+export const getCallbacksByCursor = async (options = {}) => {
+  try {
+    const {
+      cursor = null,
+      limit = 50,
+      sortOrder: requestedOrder = 'desc',
+      includeCount = false,
+      ...filters
+    } = options;
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+      throw createHttpError(400, 'Invalid cursor');
+    }
+
+    const sortOrder = position?.sortOrder || requestedOrder;
+    const direction = position?.direction || 'next';
+
+    // Walking backwards means reading in the opposite order and reversing the page
+    const ascending = (sortOrder === 'asc') === (direction === 'next');
+
+    let query = supabase
+      .from('callback_requests')
+      .select('*');
+
+    query = applyCallbackFilters(query, filters);
+
+    if (position) {
+      const op = ascending ? 'gt' : 'lt';
+      query = query.or(
+        `created_at.${op}."${position.createdAt}",and(created_at.eq."${position.createdAt}",id.${op}."${position.id}")`
+      );
+    }
+
+    // One extra row tells whether there is another page in this direction
+    query = query
+      .order('created_at', { ascending })
+      .order('id', { ascending })
+      .limit(limit + 1);
+
+    const [{ data: rows, error }, total] = await Promise.all([
+      query,
+      includeCount ? countCallbacks(filters) : Promise.resolve(null)
+    ]);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    if (direction === 'prev') {
+      data.reverse();
+    }
+
+    const first = data[0];
+    const last = data[data.length - 1];
+    const hasNext = direction === 'next' ? hasMore : Boolean(position);
+    const hasPrev = direction === 'prev' ? hasMore : Boolean(position);
+
+    return {
+      data,
+      pagination: {
+        mode: 'cursor',
+        limit,
+        sortOrder,
+        nextCursor: hasNext && last ? encodeCursor(last, 'next', sortOrder) : null,
+        prevCursor: hasPrev && first ? encodeCursor(first, 'prev', sortOrder) : null,
+        total
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error getting callbacks by cursor:', error);
+    throw error;
+  }
+};
+
+// Iterate over every callback matching the filters, oldest first, one cursor
+// page at a time so large result sets are never held in memory
+export async function* iterateCallbacks(filters = {}, batchSize = 500) {
+  let cursor = null;
+
+  do {
+    const { data, pagination } = await getCallbacksByCursor({
+      ...filters,
+      cursor,
+      limit: batchSize,
+      sortOrder: 'asc'
+    });
+
+    for (const row of data) {
+      yield row;
+    }
+
+    cursor = pagination.nextCursor;
+  } while (cursor);
+}
+
+// Get all callback requests with pagination and filters (see applyCallbackFilters).
+// Cursor mode is used when `pagination` is 'cursor' or a cursor is given.
 export const getAllCallbacks = async (options = {}) => {
   try {
     const {
+      pagination: mode = 'offset',
+      cursor,
       page = 1,
       limit = 50,
-      status = null,
       sortBy = 'created_at',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      includeCount,
+      ...filters
     } = options;
 
+    // The total is counted by default in offset mode only
+    if (mode === 'cursor' || cursor) {
+      return await getCallbacksByCursor({ cursor, limit, sortOrder, includeCount: includeCount ?? false, ...filters });
+    }
+
     let query = supabase
       .from('callback_requests')
-      .select('*', { count: 'exact' });
+      .select('*', includeCount !== false ? { count: 'exact' } : undefined);
 
-    // Filter by status if provided
-    if (status) {
-      query = query.eq('status', status);
-    }
+    query = applyCallbackFilters(query, filters);
 
     // Apply sorting
     query = query.order(sortBy, { ascending: sortOrder === 'asc' });
@@ -124,10 +494,11 @@ export const getAllCallbacks = async (options = {}) => {
     return {
       data,
       pagination: {
+        mode: 'offset',
         page,
         limit,
-        total: count,
-        totalPages: Math.ceil(count / limit)
+        total: includeCount !== false ? count : null,
+        totalPages: includeCount !== false ? Math.ceil(count / limit) : null
       }
     };
   } catch (error) {
@@ -136,21 +507,30 @@ export const getAllCallbacks = async (options = {}) => {
   }
 };
 
-// Update callback status
-export const updateCallbackStatus = async (id, updateData) => {
+// Update callback status. Status changes are checked against the lifecycle in
+// statusLifecycle.js, and every change to a tracked field is appended to the
+// callback's history. `context` describes the change: { actor, actorId, source }
+// where source is 'api', 'telegram', 'bulk' or 'system'.
+export const updateCallbackStatus = async (id, updateData, context = {}) => {
   try {
-    console.log('🔄 updateCallbackStatus called with:', { id, updateData });
-    
+    console.log('🔄 updateCallbackStatus called with:', { id, updateData, context });
+
+    const current = await getCallbackById(id);
+    if (!current) {
+      throw createHttpError(404, 'Callback not found');
+    }
+    const planned = planStatusChange(current, updateData, context);
+
+    // Optionally a visit has to be closed out before the callback is
+    if (planned.status === 'completed' && current.status !== 'completed') {
+      await requireAppointmentOutcome(id);
+    }
+
     const updates = {
-      ...updateData,
+      ...planned,
       updated_at: new Date().toISOString()
     };
 
-    // If marking as completed, set completed_at
-    if (updateData.status === 'completed' && !updateData.completed_at) {
-      updates.completed_at = new Date().toISOString();
-    }
-
     console.log('📝 Final updates object:', updates);
     console.log('🎯 Updating record with ID:', id);
 
@@ -169,6 +549,7 @@ export const updateCallbackStatus = async (id, updateData) => {
     }
 
     console.log('✅ Callback status updated successfully:', id);
+    await recordHistory(id, diffTrackedFields(current, data), context);
     return data;
   } catch (error) {
     console.error('❌ Error updating callback status:', error);
@@ -178,26 +559,210 @@ export const updateCallbackStatus = async (id, updateData) => {
   }
 };
 
-// Delete callback request
-export const deleteCallback = async (id) => {
+// Move a callback to the trash (soft delete). It disappears from the list,
+// stats and exports but keeps its row, Telegram message reference and history
+// until it is restored or purged.
+export const deleteCallback = async (id, context = {}) => {
   try {
-    const { error } = await supabase
+    const { data, error } = await supabase
       .from('callback_requests')
-      .delete()
-      .eq('id', id);
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: context.actor || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select();
 
     if (error) {
       throw new Error(`Database error: ${error.message}`);
     }
+    if (data.length === 0) {
+      throw createHttpError(404, 'Callback not found');
+    }
 
-    console.log('✅ Callback deleted:', id);
-    return true;
+    console.log('🗑️ Callback moved to trash:', id);
+    await recordHistory(id, { deleted: { from: false, to: true } }, { ...context, event: 'delete' });
+    return data[0];
   } catch (error) {
     console.error('❌ Error deleting callback:', error);
     throw error;
   }
 };
 
+// Bring a callback back from the trash
+export const restoreCallback = async (id, context = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('callback_requests')
+      .update({
+        deleted_at: null,
+        deleted_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .select();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+    if (data.length === 0) {
+      throw createHttpError(404, 'Callback not found in trash');
+    }
+
+    console.log('♻️ Callback restored from trash:', id);
+    await recordHistory(id, { deleted: { from: true, to: false } }, { ...context, event: 'restore' });
+    return data[0];
+  } catch (error) {
+    console.error('❌ Error restoring callback:', error);
+    throw error;
+  }
+};
+
+// Get soft-deleted callbacks, most recently deleted first
+export const getDeletedCallbacks = async ({ page = 1, limit = 50 } = {}) => {
+  try {
+    const from = (page - 1) * limit;
+
+    const { data, error, count } = await supabase
+      .from('callback_requests')
+      .select('*', { count: 'exact' })
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return {
+      data,
+      pagination: {
+        mode: 'offset',
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      },
+      retentionDays: TRASH_RETENTION_DAYS
+    };
+  } catch (error) {
+    console.error('❌ Error getting deleted callbacks:', error);
+    throw error;
+  }
+};
+
+// Permanently delete callbacks that have been in the trash longer than
+// TRASH_RETENTION_DAYS. Their history is kept and gets a final 'purge' event.
+export const purgeDeletedCallbacks = async () => {
+  try {
+    if (!(TRASH_RETENTION_DAYS > 0)) return [];
+
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('callback_requests')
+      .delete()
+      .lt('deleted_at', cutoff)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    for (const { id } of data) {
+      await recordHistory(id, { purged: { from: false, to: true } }, { source: 'system', event: 'purge' });
+    }
+
+    if (data.length > 0) {
+      console.log(`🧹 Purged ${data.length} callback(s) deleted more than ${TRASH_RETENTION_DAYS} days ago`);
+    }
+    return data.map(({ id }) => id);
+  } catch (error) {
+    console.error('❌ Error purging deleted callbacks:', error);
+    throw error;
+  }
+};
+
+// Merge one callback (source) into another (target). The source's submissions
+// are appended to the target and the source is cancelled with merged_into set.
+export const mergeCallbacks = async (targetId, sourceId, context = {}) => {
+  try {
+    if (targetId === sourceId) {
+      throw createHttpError(400, 'Cannot merge a callback into itself');
+    }
+
+    const [target, source] = await Promise.all([getCallbackById(targetId), getCallbackById(sourceId)]);
+    if (!target || !source) {
+      throw createHttpError(404, 'Callback not found');
+    }
+    if (source.merged_into || target.merged_into) {
+      throw createHttpError(409, 'Callback has already been merged');
+    }
+
+    // Cancelling the source has to be a legal transition (a completed lead cannot be merged away)
+    const sourceUpdates = planStatusChange(source, {
+      status: 'cancelled',
+      cancellation_reason: `Merged into ${target.id}`,
+      merged_into: target.id
+    }, { actor: context.actor || 'system' });
+
+    const now = new Date().toISOString();
+    const sourceSubmissions = [
+      toSubmission(source, source.created_at, { merged_from: source.id }),
+      ...(source.submissions || []).map(submission => ({ ...submission, merged_from: source.id }))
+    ];
+    const submissions = [...(target.submissions || []), ...sourceSubmissions]
+      .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+    const lastSubmittedAt = [target.last_submitted_at, source.last_submitted_at, source.created_at]
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    const mergeContext = { ...context, event: 'merge' };
+    const targetUpdates = {
+      submissions,
+      repeat_count: (target.repeat_count || 0) + 1 + (source.repeat_count || 0),
+      last_submitted_at: lastSubmittedAt,
+      updated_at: now
+    };
+
+    // Both rows and their history are written in one transaction
+    // (merge_callbacks in add-merge-function.sql), so a failure leaves neither
+    // half-merged. It refuses if either row changed since it was read above.
+    const { data: merged, error: mergeError } = await supabase.rpc('merge_callbacks', {
+      p_target_id: target.id,
+      p_source_id: source.id,
+      p_target_version: target.updated_at ?? null,
+      p_source_version: source.updated_at ?? null,
+      p_target: targetUpdates,
+      p_source: { ...sourceUpdates, updated_at: now },
+      p_history: [
+        ...buildHistoryRows(target.id, diffTrackedFields(target, targetUpdates), mergeContext),
+        ...buildHistoryRows(source.id, diffTrackedFields(source, sourceUpdates), mergeContext)
+      ]
+    });
+
+    if (mergeError) {
+      if (mergeError.code === 'P0002') {
+        throw createHttpError(404, 'Callback not found');
+      }
+      if (mergeError.code === '55000') {
+        throw createHttpError(409, mergeError.message);
+      }
+      throw new Error(`Database error: ${mergeError.message}`);
+    }
+
+    console.log(`🔗 Callback ${source.id} merged into ${target.id}`);
+    return merged;
+  } catch (error) {
+    console.error('❌ Error merging callbacks:', error);
+    throw error;
+  }
+};
+
 // Get callback statistics
 export const getCallbackStats = async (timeRange = '30d') => {
   try {
@@ -222,6 +787,7 @@ export const getCallbackStats = async (timeRange = '30d') => {
     const { data: allData, error: allError } = await supabase
       .from('callback_requests')
       .select('status, created_at')
+      .is('deleted_at', null)
       .gte('created_at', startDate.toISOString());
 
     if (allError) {
@@ -0,0 +1,139 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import dotenv from 'dotenv';
+import { iterateCallbacks, parseUTM } from './callbackService.js';
+
+dotenv.config();
+
+// Timezone used for exported timestamps unless the request overrides it
+export const DEFAULT_EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'America/New_York';
+
+// Exported columns; UTM JSON is flattened into one column per parameter
+const COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'created_at', header: 'Created', timestamp: true },
+  { key: 'name', header: 'Name' },
+  { key: 'phone', header: 'Phone (as entered)', phone: true },
+  { key: 'phone_normalized', header: 'Phone (E.164)', phone: true },
+  { key: 'service_type', header: 'Service' },
+  { key: 'status', header: 'Status' },
+  { key: 'assigned_to', header: 'Assigned To' },
+  { key: 'completed_by', header: 'Completed By' },
+  { key: 'completed_at', header: 'Completed', timestamp: true },
+  { key: 'updated_at', header: 'Updated', timestamp: true },
+  { key: 'repeat_count', header: 'Repeat Submissions' },
+  { key: 'utm_source', header: 'UTM Source', utm: 'source' },
+  { key: 'utm_medium', header: 'UTM Medium', utm: 'medium' },
+  { key: 'utm_campaign', header: 'UTM Campaign', utm: 'campaign' },
+  { key: 'utm_term', header: 'UTM Term', utm: 'term' },
+  { key: 'utm_content', header: 'UTM Content', utm: 'content' }
+];
+
+// "2024-01-31 17:05:00" in the given timezone
+const formatTimestamp = (value, timezone) => {
+  if (!value) return '';
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(value))
+      .map(part => [part.type, part.value])
+  );
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// Customer-supplied text starting with a formula character would be executed
+// by spreadsheet apps; prefix it so it is shown as text. No exceptions, so
+// "+1 555..." phones get the prefix in CSV as well.
+const neutralizeFormula = (value) => {
+  if (typeof value !== 'string') return value;
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+// Flatten a callback into an array of cell values in COLUMNS order. With
+// textPhones the phone columns are left as they are, for XLSX text cells.
+const toRow = (callback, timezone, { textPhones = false } = {}) => {
+  const utm = parseUTM(callback.fromwhichutm) || {};
+
+  return COLUMNS.map(column => {
+    if (column.timestamp) return formatTimestamp(callback[column.key], timezone);
+    if (column.utm) return neutralizeFormula(callback[column.key] || utm[column.utm] || '');
+
+    const value = callback[column.key];
+    if (value === null || value === undefined) return '';
+    return column.phone && textPhones ? String(value) : neutralizeFormula(value);
+  });
+};
+
+const escapeCsv = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write a chunk, waiting for the socket to drain when its buffer is full.
+// Stops the export when the client has gone away.
+const write = async (stream, chunk) => {
+  if (stream.destroyed) {
+    throw new Error('Export stream closed by client');
+  }
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+};
+
+// Stream matching callbacks as CSV (UTF-8 with BOM so Excel reads Cyrillic correctly)
+// The first page is read before anything is written, so a failing query can
+// still be answered with an error status instead of an empty file.
+export const streamCallbacksCsv = async (stream, filters, timezone = DEFAULT_EXPORT_TIMEZONE) => {
+  let count = 0;
+  const callbacks = iterateCallbacks(filters);
+  const first = await callbacks.next();
+
+  await write(stream, '\uFEFF' + COLUMNS.map(column => escapeCsv(column.header)).join(',') + '\r\n');
+
+  for (let next = first; !next.done; next = await callbacks.next()) {
+    await write(stream, toRow(next.value, timezone).map(escapeCsv).join(',') + '\r\n');
+    count++;
+  }
+
+  stream.end();
+  return count;
+};
+
+// Stream matching callbacks as an XLSX workbook, committing rows as they are written
+export const streamCallbacksXlsx = async (stream, filters, timezone = DEFAULT_EXPORT_TIMEZONE) => {
+  let count = 0;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    // Needed for the text format of the phone columns
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet('Callbacks');
+  // Phone columns are text cells, so "+1 555..." is shown as typed and never read as a formula
+  worksheet.columns = COLUMNS.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: 20,
+    ...(column.phone ? { style: { numFmt: '@' } } : {})
+  }));
+
+  for await (const callback of iterateCallbacks(filters)) {
+    worksheet.addRow(toRow(callback, timezone, { textPhones: true })).commit();
+    count++;
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
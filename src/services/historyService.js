@@ -0,0 +1,127 @@
+import { supabase } from '../config/supabase.js';
+
+// Where a change came from
+export const HISTORY_SOURCES = ['api', 'telegram', 'bulk', 'system'];
+
+// Columns whose changes are recorded. Bookkeeping columns (updated_at,
+// telegram_message_id, ...) are left out.
+export const TRACKED_FIELDS = [
+  'name',
+  'phone',
+  'service_type',
+  'status',
+  'assigned_to',
+  'assigned_worker_id',
+  'assigned_user_id',
+  'auto_assigned',
+  'completed_by',
+  'completed_at',
+  'cancelled_by',
+  'cancellation_reason',
+  'repeat_count',
+  'merged_into'
+];
+
+// Actor ids the system records changes under (automatic assignment, merges, ...)
+// mapped from names written by earlier versions. The history is append-only,
+// so old rows are translated when read instead of rewritten.
+const LEGACY_ACTORS = {
+  'Автоназначение': 'auto'
+};
+
+const withCurrentActor = (event) => (LEGACY_ACTORS[event.actor]
+  ? { ...event, actor: LEGACY_ACTORS[event.actor] }
+  : event);
+
+// { field: { from, to } } for tracked fields that differ between two row versions
+export const diffTrackedFields = (before = {}, after = {}) => Object.fromEntries(
+  TRACKED_FIELDS
+    .filter(field => field in after && (before[field] ?? null) !== (after[field] ?? null))
+    .map(field => [field, { from: before[field] ?? null, to: after[field] ?? null }])
+);
+
+// callback_history rows for a change, one per changed field
+export const buildHistoryRows = (callbackId, changes, context = {}) => {
+  const { actor = null, actorId = null, source = 'system', event = 'update' } = context;
+  const createdAt = new Date().toISOString();
+
+  return Object.keys(changes).map(field => ({
+    callback_id: callbackId,
+    event,
+    field,
+    old_value: changes[field].from,
+    new_value: changes[field].to,
+    actor,
+    actor_id: actorId !== null ? String(actorId) : null,
+    source: HISTORY_SOURCES.includes(source) ? source : 'system',
+    created_at: createdAt
+  }));
+};
+
+// Append history events for a callback, one row per changed field.
+// Recording is best effort: a failure is logged and never undoes the change itself.
+export const recordHistory = async (callbackId, changes, context = {}) => {
+  const rows = buildHistoryRows(callbackId, changes, context);
+  if (rows.length === 0) return [];
+
+  try {
+    const { data, error } = await supabase
+      .from('callback_history')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    console.log(`📜 Recorded ${rows.length} history event(s) for callback ${callbackId}`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error recording callback history:', error.message);
+    return [];
+  }
+};
+
+// Record that a callback was created (single event without a field)
+export const recordCreated = async (callback, context = {}) => {
+  return recordHistory(callback.id, { status: { from: null, to: callback.status } }, { ...context, event: 'create' });
+};
+
+// Get the history of a callback, oldest first
+export const getCallbackHistory = async (callbackId, { limit = 200 } = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('callback_history')
+      .select('*')
+      .eq('callback_id', callbackId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.map(withCurrentActor);
+  } catch (error) {
+    console.error('❌ Error getting callback history:', error);
+    throw error;
+  }
+};
+
+// Get the most recent history events of a callback, oldest first
+export const getRecentHistory = async (callbackId, limit) => {
+  const { data, error } = await supabase
+    .from('callback_history')
+    .select('*')
+    .eq('callback_id', callbackId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data.reverse().map(withCurrentActor);
+};
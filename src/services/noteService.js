@@ -0,0 +1,102 @@
+import { supabase } from '../config/supabase.js';
+
+// Where a note was written
+export const NOTE_SOURCES = ['api', 'telegram'];
+
+// Add a note to a callback
+export const createNote = async (callbackId, note) => {
+  try {
+    const { data, error } = await supabase
+      .from('callback_notes')
+      .insert([{
+        callback_id: callbackId,
+        text: note.text,
+        author: note.author || null,
+        author_id: note.authorId != null ? String(note.authorId) : null,
+        source: NOTE_SOURCES.includes(note.source) ? note.source : 'api',
+        telegram_message_id: note.telegramMessageId || null,
+        telegram_chat_id: note.telegramChatId || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    console.log(`📝 Note added to callback ${callbackId} (${data.source})`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error creating note:', error);
+    throw error;
+  }
+};
+
+// Get the notes of a callback, oldest first
+export const getNotes = async (callbackId, { limit = 500 } = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('callback_notes')
+      .select('*')
+      .eq('callback_id', callbackId)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error getting notes:', error);
+    throw error;
+  }
+};
+
+// Remember the Telegram message a note was posted as, so replies to it are matched too
+export const setNoteTelegramMessage = async (noteId, messageId, chatId) => {
+  const { error } = await supabase
+    .from('callback_notes')
+    .update({ telegram_message_id: messageId, telegram_chat_id: chatId })
+    .eq('id', noteId);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+};
+
+// Find the callback a Telegram message belongs to: either its group card or
+// one of its notes posted in the thread. Returns the callback id or null.
+export const findCallbackIdByTelegramMessage = async (chatId, messageId) => {
+  try {
+    const { data: cards, error: cardError } = await supabase
+      .from('callback_requests')
+      .select('id')
+      .eq('telegram_chat_id', chatId)
+      .eq('telegram_message_id', messageId)
+      .is('deleted_at', null)
+      .limit(1);
+
+    if (cardError) {
+      throw new Error(`Database error: ${cardError.message}`);
+    }
+    if (cards.length > 0) return cards[0].id;
+
+    const { data: notes, error: noteError } = await supabase
+      .from('callback_notes')
+      .select('callback_id')
+      .eq('telegram_chat_id', chatId)
+      .eq('telegram_message_id', messageId)
+      .limit(1);
+
+    if (noteError) {
+      throw new Error(`Database error: ${noteError.message}`);
+    }
+
+    return notes[0]?.callback_id || null;
+  } catch (error) {
+    console.error('❌ Error finding callback by Telegram message:', error);
+    throw error;
+  }
+};
@@ -1,5 +1,13 @@
 import { supabase } from '../config/supabase.js';
-import { notifyNewCallback, notifyCallbackCompleted } from './telegramBot.js';
+import {
+  notifyNewCallback,
+  notifyCallbackCompleted,
+  notifyRepeatSubmission,
+  notifyCallbackMerged,
+  notifyCallbackDeleted,
+  notifyCallbackRestored
+} from './telegramBot.js';
+import { autoAssignCallback } from './assignmentService.js';
 
 let realtimeSubscription = null;
 let reconnectAttempts = 0;
@@ -172,7 +180,9 @@ const scheduleReconnection = (customDelay = null) => {
 const handleNewCallback = async (callbackData) => {
   try {
     console.log(`📞 Processing new callback: ${callbackData.name} - ${callbackData.service_type}`);
-    await notifyNewCallback(callbackData);
+    // Assign first so the card shows the worker picked by the assignment strategy
+    const assigned = await autoAssignCallback(callbackData);
+    await notifyNewCallback(assigned || callbackData);
   } catch (error) {
     console.error('❌ Error processing new callback:', error.message);
   }
@@ -181,11 +191,33 @@ const handleNewCallback = async (callbackData) => {
 // Handle callback updates
 const handleCallbackUpdate = async (newRecord, oldRecord) => {
   try {
+    // Soft delete and restore only touch the card; trashed callbacks are otherwise ignored
+    if (newRecord.deleted_at) {
+      if (!oldRecord.deleted_at) {
+        await notifyCallbackDeleted(newRecord);
+      }
+      return;
+    }
+    if (oldRecord.deleted_at) {
+      await notifyCallbackRestored(newRecord);
+      return;
+    }
+
     // Check if status changed to completed
     if (oldRecord.status !== 'completed' && newRecord.status === 'completed') {
       console.log(`✅ Callback completed: ${newRecord.name}`);
       await notifyCallbackCompleted(newRecord);
     }
+
+    // A repeat form submission was attached to this callback
+    if ((newRecord.repeat_count || 0) > (oldRecord.repeat_count || 0)) {
+      await notifyRepeatSubmission(newRecord);
+    }
+
+    // The callback was merged into another one
+    if (newRecord.merged_into && !oldRecord.merged_into) {
+      await notifyCallbackMerged(newRecord);
+    }
   } catch (error) {
     console.error('❌ Error processing callback update:', error.message);
   }
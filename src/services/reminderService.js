@@ -0,0 +1,77 @@
+import { supabase } from '../config/supabase.js';
+import { OPEN_STATUSES } from './callbackService.js';
+import { getWorkerById } from './workerService.js';
+import { notifyCallbackWindowOpen } from './telegramBot.js';
+
+// How often open preferred windows are checked
+export const REMINDER_CHECK_INTERVAL_MS = parseInt(process.env.REMINDER_CHECK_INTERVAL_MS || '60000', 10);
+
+// Open callbacks whose preferred window is open now and who were not reminded yet
+export const getDueReminders = async (now = new Date()) => {
+  try {
+    const { data, error } = await supabase
+      .from('callback_requests')
+      .select('*')
+      .lte('preferred_start_at', now.toISOString())
+      .gt('preferred_end_at', now.toISOString())
+      .is('reminder_sent_at', null)
+      .in('status', OPEN_STATUSES)
+      .is('deleted_at', null)
+      .order('preferred_start_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error getting due reminders:', error);
+    throw error;
+  }
+};
+
+// Set while a check runs, so a check that outlasts the interval is not
+// overlapped by the next one sending the same reminders again
+let reminderCheckRunning = false;
+
+// Remind the assigned worker (or the group) about each window that opened
+export const runReminderCheck = async () => {
+  if (reminderCheckRunning) {
+    console.log('⏰ Reminder check still running, skipping this one');
+    return 0;
+  }
+  reminderCheckRunning = true;
+
+  try {
+    const due = await getDueReminders();
+    let sent = 0;
+
+    for (const callback of due) {
+      const worker = callback.assigned_worker_id ? await getWorkerById(callback.assigned_worker_id) : null;
+
+      // Left unmarked when nothing was delivered, so the next check retries it
+      if (!await notifyCallbackWindowOpen(callback, worker)) continue;
+
+      const { error } = await supabase
+        .from('callback_requests')
+        .update({ reminder_sent_at: new Date().toISOString() })
+        .eq('id', callback.id);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+      sent++;
+    }
+
+    if (sent > 0) {
+      console.log(`⏰ Sent ${sent} preferred window reminder(s)`);
+    }
+    return sent;
+  } catch (error) {
+    console.error('❌ Error running reminder check:', error);
+    throw error;
+  } finally {
+    reminderCheckRunning = false;
+  }
+};
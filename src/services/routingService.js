@@ -0,0 +1,213 @@
+import dotenv from 'dotenv';
+import { supabase } from '../config/supabase.js';
+import { createHttpError } from '../utils/errors.js';
+import { isWithinWeeklyHours } from '../utils/time.js';
+
+dotenv.config();
+
+// Lead attributes a rule can match on, in the order they are checked
+export const ROUTING_CONDITIONS = ['service_type', 'utm_source', 'site', 'hours'];
+
+// "https://www.Brand.com/form" -> "brand.com"
+export const normalizeSite = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  let host = text;
+  try {
+    host = new URL(text.includes('://') ? text : `https://${text}`).hostname;
+  } catch (e) {
+    // Not a URL; compare the text as given
+  }
+  return host.replace(/^www\./, '') || null;
+};
+
+// Where leads go when no rule matches: the workers group and topic
+export const getDefaultRoute = () => ({
+  chat_id: process.env.TELEGRAM_WORKERS_GROUP_ID ? Number(process.env.TELEGRAM_WORKERS_GROUP_ID) : null,
+  topic_id: process.env.TELEGRAM_WORKERS_TOPIC_ID ? Number(process.env.TELEGRAM_WORKERS_TOPIC_ID) : null
+});
+
+// Get all routing rules in the order they are tried
+export const getRoutingRules = async ({ active } = {}) => {
+  try {
+    let query = supabase
+      .from('routing_rules')
+      .select('*')
+      .order('priority', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (active !== undefined) {
+      query = query.eq('active', active);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error getting routing rules:', error);
+    throw error;
+  }
+};
+
+// Get one routing rule; null when it does not exist
+export const getRoutingRuleById = async (id) => {
+  const { data, error } = await supabase
+    .from('routing_rules')
+    .select('*')
+    .eq('id', id)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data[0] || null;
+};
+
+// Add a routing rule
+export const createRoutingRule = async (ruleData) => {
+  try {
+    const { data, error } = await supabase
+      .from('routing_rules')
+      .insert([{
+        name: ruleData.name,
+        priority: ruleData.priority ?? 100,
+        active: ruleData.active ?? true,
+        service_types: ruleData.service_types || [],
+        utm_sources: ruleData.utm_sources || [],
+        sites: ruleData.sites || [],
+        hours: ruleData.hours ?? null,
+        chat_id: ruleData.chat_id,
+        topic_id: ruleData.topic_id ?? null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, 'A routing rule with this name already exists');
+      }
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    console.log(`🧭 Routing rule added: ${data.name} (#${data.id})`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error creating routing rule:', error);
+    throw error;
+  }
+};
+
+// Update a routing rule; returns null when it does not exist
+export const updateRoutingRule = async (id, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('routing_rules')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw createHttpError(409, 'A routing rule with this name already exists');
+      }
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (data[0]) {
+      console.log(`🧭 Routing rule updated: ${data[0].name} (#${id})`);
+    }
+    return data[0] || null;
+  } catch (error) {
+    console.error('❌ Error updating routing rule:', error);
+    throw error;
+  }
+};
+
+// Remove a routing rule; returns whether it existed
+export const deleteRoutingRule = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('routing_rules')
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (data[0]) {
+      console.log(`🧭 Routing rule removed: ${data[0].name} (#${id})`);
+    }
+    return Boolean(data[0]);
+  } catch (error) {
+    console.error('❌ Error deleting routing rule:', error);
+    throw error;
+  }
+};
+
+const inList = (list, value, normalize = text => text.toLowerCase()) => !list?.length
+  || (Boolean(value) && list.some(item => normalize(item) === normalize(value)));
+
+// Conditions of a rule that a lead does not meet; empty lists and no hours match anything
+export const getRuleMismatches = (rule, lead, at = new Date()) => {
+  const checks = {
+    service_type: () => inList(rule.service_types, lead.service_type),
+    utm_source: () => inList(rule.utm_sources, lead.utm_source),
+    site: () => inList(rule.sites, lead.site, normalizeSite),
+    hours: () => !rule.hours || isWithinWeeklyHours(rule.hours, at)
+  };
+  return ROUTING_CONDITIONS.filter(condition => !checks[condition]());
+};
+
+const toRoute = (rule) => (rule
+  ? { chat_id: rule.chat_id, topic_id: rule.topic_id ?? null, rule: { id: rule.id, name: rule.name } }
+  : { ...getDefaultRoute(), rule: null });
+
+// Route for a lead ({ service_type, utm_source, site }) at a moment, with how
+// every rule was evaluated. The first active rule that matches wins.
+export const explainRoute = async (lead, at = new Date()) => {
+  const rules = await getRoutingRules();
+  let matched = null;
+
+  const evaluated = rules.map(rule => {
+    const mismatches = getRuleMismatches(rule, lead, at);
+    const matches = rule.active && mismatches.length === 0;
+    if (matches && !matched) matched = rule;
+    return {
+      id: rule.id,
+      name: rule.name,
+      priority: rule.priority,
+      active: rule.active,
+      matches,
+      mismatches,
+      selected: false
+    };
+  });
+
+  const selected = evaluated.find(rule => rule.id === matched?.id);
+  if (selected) selected.selected = true;
+
+  return { route: toRoute(matched), rules: evaluated };
+};
+
+// Chat and topic a new lead is posted to. Falls back to the default route
+// when the rules cannot be loaded, so the lead is still announced.
+export const resolveRoute = async (lead, at = new Date()) => {
+  try {
+    const { route } = await explainRoute(lead, at);
+    return route;
+  } catch (error) {
+    console.error('❌ Error resolving lead route, using the default:', error.message);
+    return toRoute(null);
+  }
+};
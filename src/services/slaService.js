@@ -0,0 +1,181 @@
+import { supabase } from '../config/supabase.js';
+import { getWorkers, getWorkerById } from './workerService.js';
+import { iterateCallbacks } from './callbackService.js';
+import { notifySlaBreach, notifySlaEscalation } from './telegramBot.js';
+
+// Minutes allowed before a callback breaches its SLA. "assign" runs until a
+// worker takes the callback, "contact" until the customer is contacted; both
+// count from creation. The escalation thresholds alert the manager chat.
+const defaultPolicy = {
+  assign: parseInt(process.env.SLA_ASSIGN_MINUTES || '20', 10),
+  contact: parseInt(process.env.SLA_CONTACT_MINUTES || '60', 10),
+  escalateAssign: parseInt(process.env.SLA_ESCALATE_ASSIGN_MINUTES || '40', 10),
+  escalateContact: parseInt(process.env.SLA_ESCALATE_CONTACT_MINUTES || '120', 10)
+};
+
+// Per service type overrides, e.g. SLA_OVERRIDES={"Emergency":{"assign":5,"contact":15}}
+const parseOverrides = (value) => {
+  if (!value) return {};
+  try {
+    const overrides = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(overrides).map(([serviceType, policy]) => [serviceType.toLowerCase(), policy])
+    );
+  } catch (error) {
+    console.error('❌ Invalid SLA_OVERRIDES, using the default SLA for every service:', error.message);
+    return {};
+  }
+};
+
+const policyOverrides = parseOverrides(process.env.SLA_OVERRIDES);
+
+// How often the SLA check runs
+export const SLA_CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS || '60000', 10);
+
+// Statuses each SLA applies to
+const SLA_STATUSES = {
+  assign: ['pending'],
+  contact: ['pending', 'in_progress']
+};
+
+// SLA policy (in minutes) for a service type
+export const getSlaPolicy = (serviceType) => ({
+  ...defaultPolicy,
+  ...(serviceType ? policyOverrides[serviceType.toLowerCase()] : null)
+});
+
+// When an SLA clock starts: creation, except that contacting a customer who
+// asked for a later window is only due once the window opens
+const getSlaStart = (callback, type) => {
+  const createdAt = new Date(callback.created_at);
+  if (type === 'contact' && callback.preferred_start_at) {
+    const windowStart = new Date(callback.preferred_start_at);
+    return windowStart > createdAt ? windowStart : createdAt;
+  }
+  return createdAt;
+};
+
+// Breaches of a callback at a point in time, most severe last. Each breach is
+// { type: 'assign'|'contact', level: 'warning'|'escalation', thresholdMinutes,
+//   elapsedMinutes, dueAt, key } where key identifies the alert once sent.
+export const evaluateSla = (callback, now = new Date()) => {
+  const policy = getSlaPolicy(callback.service_type);
+  const breaches = [];
+
+  const thresholds = [
+    ['assign', 'warning', policy.assign],
+    ['contact', 'warning', policy.contact],
+    ['assign', 'escalation', policy.escalateAssign],
+    ['contact', 'escalation', policy.escalateContact]
+  ];
+
+  for (const [type, level, thresholdMinutes] of thresholds) {
+    if (!(thresholdMinutes > 0) || !SLA_STATUSES[type].includes(callback.status)) continue;
+
+    const startedAt = getSlaStart(callback, type);
+    const elapsedMinutes = Math.floor((now - startedAt) / 60000);
+    if (elapsedMinutes < thresholdMinutes) continue;
+
+    breaches.push({
+      type,
+      level,
+      thresholdMinutes,
+      elapsedMinutes,
+      dueAt: new Date(startedAt.getTime() + thresholdMinutes * 60000).toISOString(),
+      key: `${type}:${level}`
+    });
+  }
+
+  return breaches;
+};
+
+// Open callbacks that breach an SLA right now, longest waiting first. Every
+// open callback is checked, a cursor page at a time, so old ones that stay
+// open cannot crowd newer breaches out.
+export const getSlaBreaches = async (now = new Date()) => {
+  try {
+    const breached = [];
+
+    for await (const callback of iterateCallbacks({ status: SLA_STATUSES.contact })) {
+      const breaches = evaluateSla(callback, now);
+      if (breaches.length > 0) {
+        breached.push({ callback, breaches });
+      }
+    }
+
+    return breached;
+  } catch (error) {
+    console.error('❌ Error getting SLA breaches:', error);
+    throw error;
+  }
+};
+
+// Who to mention for a breach: the on-call workers while nobody has taken the
+// callback, the assigned worker afterwards
+const getResponsibleWorkers = async (callback, breach) => {
+  if (breach.type === 'contact' && callback.assigned_worker_id) {
+    const worker = await getWorkerById(callback.assigned_worker_id);
+    return worker ? [worker] : [];
+  }
+  const workers = await getWorkers({ active: true });
+  return workers.filter(worker => worker.on_call);
+};
+
+// Send the alerts for new breaches and remember them in sla_alerts so each
+// alert goes out once per callback
+// Set while a check runs. Alerts are recorded only once sent, and the queue
+// spaces group messages out, so a long check may outlast the interval; the
+// next tick is skipped rather than sending the same alerts again.
+let slaCheckRunning = false;
+
+export const runSlaCheck = async () => {
+  if (slaCheckRunning) {
+    console.log('⏰ SLA check still running, skipping this one');
+    return 0;
+  }
+  slaCheckRunning = true;
+
+  try {
+    const breached = await getSlaBreaches();
+    let sent = 0;
+
+    for (const { callback, breaches } of breached) {
+      const alerted = callback.sla_alerts || [];
+      const pending = breaches.filter(breach => !alerted.includes(breach.key));
+      if (pending.length === 0) continue;
+
+      // Only alerts that reached Telegram are recorded; failed ones are retried next run
+      const delivered = [];
+      for (const breach of pending) {
+        const workers = await getResponsibleWorkers(callback, breach);
+        const message = breach.level === 'escalation'
+          ? await notifySlaEscalation(callback, breach, workers)
+          : await notifySlaBreach(callback, breach, workers);
+        if (message) {
+          delivered.push(breach.key);
+          sent++;
+        }
+      }
+      if (delivered.length === 0) continue;
+
+      const { error } = await supabase
+        .from('callback_requests')
+        .update({ sla_alerts: [...alerted, ...delivered] })
+        .eq('id', callback.id);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`⏰ SLA check sent ${sent} alert(s)`);
+    }
+    return sent;
+  } catch (error) {
+    console.error('❌ Error running SLA check:', error);
+    throw error;
+  } finally {
+    slaCheckRunning = false;
+  }
+};
@@ -0,0 +1,98 @@
+import { createHttpError } from '../utils/errors.js';
+
+// Allowed status transitions. Completed and cancelled callbacks can only be
+// reopened (back to in_progress / pending), never jump anywhere else.
+export const STATUS_TRANSITIONS = {
+  pending: ['in_progress', 'contacted', 'cancelled'],
+  in_progress: ['pending', 'contacted', 'completed', 'cancelled'],
+  contacted: ['in_progress', 'completed', 'cancelled'],
+  completed: ['in_progress'],
+  cancelled: ['pending']
+};
+
+// Fields that must be known (in the update or already on the row) to enter a status
+export const REQUIRED_FIELDS = {
+  completed: ['completed_by'],
+  cancelled: ['cancellation_reason', 'cancelled_by']
+};
+
+export const canTransition = (from, to) => from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+const transitionError = (status, code, message, extra = {}) => {
+  const error = createHttpError(status, message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Validate a status change against the lifecycle and return the full set of
+// column updates it implies (timestamps set or cleared, assignment and sent
+// SLA alerts dropped on return to pending, ...). Updates without a status
+// change pass through as is.
+//
+// Throws a 409 (code INVALID_TRANSITION) for a transition that is not allowed
+// and a 422 (code MISSING_FIELDS) when a required field is missing.
+export const planStatusChange = (current, updates, { actor = null } = {}) => {
+  const from = current.status;
+  const to = updates.status;
+
+  if (!to || to === from) {
+    return { ...updates };
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    throw transitionError(
+      409,
+      'INVALID_TRANSITION',
+      `Cannot change status from ${from} to ${to}. Allowed: ${allowed.join(', ') || 'none'}`,
+      { from, to, allowed }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const planned = { ...updates };
+
+  if (to === 'cancelled' && !planned.cancelled_by && actor) {
+    planned.cancelled_by = actor;
+  }
+
+  const missing = (REQUIRED_FIELDS[to] || []).filter(field => !planned[field] && !current[field]);
+  if (missing.length > 0) {
+    throw transitionError(
+      422,
+      'MISSING_FIELDS',
+      `Changing status to ${to} requires: ${missing.join(', ')}`,
+      { from, to, fields: missing }
+    );
+  }
+
+  // Entering a status
+  if (to === 'completed' && !planned.completed_at) {
+    planned.completed_at = now;
+  }
+  if (to === 'cancelled' && !planned.cancelled_at) {
+    planned.cancelled_at = now;
+  }
+  if (to === 'pending') {
+    planned.assigned_to = null;
+    planned.assigned_worker_id = null;
+    planned.assigned_user_id = null;
+    planned.auto_assigned = false;
+    // The SLA clocks apply again, so breaches are alerted again
+    planned.sla_alerts = [];
+  }
+
+  // Reopening clears what the previous terminal status recorded
+  if (from === 'completed') {
+    planned.completed_at = null;
+    planned.completed_by = null;
+  }
+  if (from === 'cancelled') {
+    planned.cancelled_at = null;
+    planned.cancelled_by = null;
+    planned.cancellation_reason = null;
+  }
+
+  return planned;
+};
@@ -1,25 +1,84 @@
+import crypto from 'crypto';
 import TelegramBot from 'node-telegram-bot-api';
 import dotenv from 'dotenv';
+import { formatPhoneForDisplay } from '../utils/phone.js';
+import { canTransition } from './statusLifecycle.js';
+import { enqueueTelegramCall } from './telegramQueue.js';
+import { html, joinHtml, bold, italic, code, mention, toPlainText } from '../utils/telegramHtml.js';
+import { SUPPORTED_LOCALES, isSupportedLocale, createLocalizer } from '../utils/i18n.js';
+import { isValidTimezone } from '../utils/time.js';
 
 dotenv.config();
 
 const token = process.env.TELEGRAM_BOT_TOKEN;
 const workersGroupId = process.env.TELEGRAM_WORKERS_GROUP_ID;
 const workersTopicId = process.env.TELEGRAM_WORKERS_TOPIC_ID;
+// Chat that receives SLA escalations (falls back to the workers group)
+const managerChatId = process.env.TELEGRAM_MANAGER_CHAT_ID;
+// Number of recent history events shown at the bottom of a card (0 = off)
+const cardHistoryLimit = parseInt(process.env.TELEGRAM_CARD_HISTORY || '0', 10);
+// Telegram user ids allowed to change any callback from the card
+const telegramAdminIds = (process.env.TELEGRAM_ADMIN_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+// Leads /queue posts with their own assignment buttons
+const queueLimit = parseInt(process.env.TELEGRAM_QUEUE_LIMIT || '5', 10);
+// Language and timezone of bot messages (catalogs in src/locales); the timezone
+// defaults to the server's
+const defaultLocale = (process.env.TELEGRAM_LOCALE || 'ru').toLowerCase();
+const defaultTimeZone = process.env.TELEGRAM_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// How the bot receives updates: long polling, a webhook, or not at all
+// (it still sends notifications). Only one replica should poll.
+export const TELEGRAM_MODES = ['polling', 'webhook', 'disabled'];
+export const telegramMode = (process.env.TELEGRAM_MODE || 'polling').toLowerCase();
+// Webhook mode: the public base URL of this server and the secret Telegram sends back
+const webhookBaseUrl = process.env.TELEGRAM_WEBHOOK_URL;
+const webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+// Path Telegram posts updates to; the route is mounted at exactly this path
+export const TELEGRAM_WEBHOOK_PATH = process.env.TELEGRAM_WEBHOOK_PATH || '/api/telegram/webhook';
+
+const allowedUpdates = ['message', 'callback_query'];
 
 if (!token) {
   throw new Error('TELEGRAM_BOT_TOKEN is required');
 }
 
-// Create bot instance with polling enabled and better error handling
+if (!isSupportedLocale(defaultLocale)) {
+  throw new Error(`TELEGRAM_LOCALE must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+}
+
+if (!isValidTimezone(defaultTimeZone)) {
+  throw new Error('TELEGRAM_TIMEZONE must be an IANA timezone, e.g. America/New_York');
+}
+
+if (!TELEGRAM_MODES.includes(telegramMode)) {
+  throw new Error(`TELEGRAM_MODE must be one of: ${TELEGRAM_MODES.join(', ')}`);
+}
+
+if (telegramMode === 'webhook') {
+  if (!webhookBaseUrl) {
+    throw new Error('TELEGRAM_WEBHOOK_URL is required in webhook mode');
+  }
+  if (!TELEGRAM_WEBHOOK_PATH.startsWith('/')) {
+    throw new Error('TELEGRAM_WEBHOOK_PATH must start with /');
+  }
+  // Telegram accepts 1-256 characters: letters, digits, _ and -
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecret || '')) {
+    throw new Error('TELEGRAM_WEBHOOK_SECRET is required in webhook mode (1-256 characters: A-Z, a-z, 0-9, _ and -)');
+  }
+}
+
+// Create bot instance; polling is started by startUpdates once any webhook is removed
 export const bot = new TelegramBot(token, { 
-  polling: {
+  polling: telegramMode === 'polling' && {
     interval: 1000,
-    autoStart: true,
+    autoStart: false,
     params: {
       timeout: 10,
       limit: 100,
-      allowed_updates: ['message', 'callback_query']
+      allowed_updates: allowedUpdates
     }
   },
   request: {
@@ -31,32 +90,127 @@ export const bot = new TelegramBot(token, {
   }
 });
 
-// Status translations
-const getStatusText = (status) => {
-  const statusMap = {
-    'pending': '⏳ Ожидает',
-    'in_progress': '🔄 В работе',
-    'contacted': '📞 Связались',
-    'completed': '✅ Выполнено',
-    'cancelled': '❌ Отменено'
+// Telegram rejects a message whose markup it cannot parse
+const isParseError = (error) => /can't parse entities/i.test(error.message || '');
+
+// Send formatted text, and if Telegram cannot parse it, the same text without
+// markup, so a notification is never lost to a formatting problem
+const withPlainTextFallback = async (text, options = {}, call) => {
+  try {
+    return await call(String(text), options);
+  } catch (error) {
+    if (!options.parse_mode || !isParseError(error)) throw error;
+
+    console.warn(`⚠️ Telegram could not parse the message (${error.message}), resending as plain text`);
+    const { parse_mode: parseMode, ...plainOptions } = options;
+    return call(toPlainText(text), plainOptions);
+  }
+};
+
+// Calls that post to or edit a chat go through the outbound queue
+// (telegramQueue.js), which spaces them out per chat and retries 429s and
+// network errors before giving up
+const sendMessage = (chatId, text, options, { onSent } = {}) => enqueueTelegramCall(
+  'sendMessage', chatId,
+  () => withPlainTextFallback(text, options, (body, opts) => bot.sendMessage(chatId, body, opts)),
+  { preview: toPlainText(text), onSent }
+);
+
+const editMessageText = (text, options) => enqueueTelegramCall(
+  'editMessageText', options.chat_id,
+  () => withPlainTextFallback(text, options, (body, opts) => bot.editMessageText(body, opts)),
+  { preview: toPlainText(text) }
+);
+
+const editMessageReplyMarkup = (replyMarkup, options) => enqueueTelegramCall(
+  'editMessageReplyMarkup', options.chat_id, () => bot.editMessageReplyMarkup(replyMarkup, options)
+);
+
+const answerCallbackQuery = (callbackQueryId, options) => enqueueTelegramCall(
+  'answerCallbackQuery', null, () => bot.answerCallbackQuery(callbackQueryId, options), { preview: options?.text }
+);
+
+// Per chat or forum topic overrides of TELEGRAM_LOCALE / TELEGRAM_TIMEZONE, keyed
+// "<chatId>" or "<chatId>:<topicId>", e.g.
+// TELEGRAM_CHAT_LOCALES={"-1002351141118:27":{"locale":"en","timezone":"America/New_York"},"-1009876543210":"ru"}
+const parseChatLocales = (value) => {
+  if (!value) return {};
+  try {
+    const entries = Object.entries(JSON.parse(value)).map(([chat, setting]) => {
+      const { locale, timezone } = typeof setting === 'string' ? { locale: setting } : (setting || {});
+      if ((locale && !isSupportedLocale(locale)) || (timezone && !isValidTimezone(timezone))) {
+        console.error(`❌ Ignoring TELEGRAM_CHAT_LOCALES entry ${chat}: unknown locale or timezone`);
+        return null;
+      }
+      return [chat, { ...(locale && { locale }), ...(timezone && { timeZone: timezone }) }];
+    });
+    return Object.fromEntries(entries.filter(Boolean));
+  } catch (error) {
+    console.error('❌ Invalid TELEGRAM_CHAT_LOCALES, using TELEGRAM_LOCALE for every chat:', error.message);
+    return {};
+  }
+};
+
+const chatLocales = parseChatLocales(process.env.TELEGRAM_CHAT_LOCALES);
+
+// Localizer for a chat: the topic's settings, then the chat's, then the defaults
+const localizerForChat = (chatId, topicId = null) => createLocalizer({
+  locale: defaultLocale,
+  timeZone: defaultTimeZone,
+  ...chatLocales[String(chatId)],
+  ...(topicId ? chatLocales[`${chatId}:${topicId}`] : {})
+});
+
+// Localizer for direct messages to a worker: the roster's locale and the
+// timezone of their working hours come first
+const localizerForWorker = (worker) => {
+  const chat = localizerForChat(worker.telegram_user_id);
+  return createLocalizer({
+    locale: worker.locale || chat.locale,
+    timeZone: worker.working_hours?.timezone || chat.timeZone
+  });
+};
+
+// Localizer for the chat a command or button press came from
+const localizerForMessage = (message, worker) => (message.chat.type === 'private' && worker
+  ? localizerForWorker(worker)
+  : localizerForChat(message.chat.id, message.message_thread_id));
+
+// System notifications in the workers group
+const groupLocalizer = localizerForChat(workersGroupId, workersTopicId);
+
+// Chat and topic of a callback's card, as stored when it was sent (a card sent
+// without a topic has none); the workers group and topic for cards never posted
+const getCardChat = (callback) => {
+  if (!callback.telegram_chat_id) {
+    return { chatId: workersGroupId, topicId: workersTopicId };
+  }
+  return {
+    chatId: callback.telegram_chat_id,
+    topicId: callback.telegram_topic_id ?? null
   };
-  return statusMap[status] || status;
 };
 
+// Localizer for a callback's card and the replies to it
+const localizerForCallback = (callback) => {
+  const { chatId, topicId } = getCardChat(callback);
+  return localizerForChat(chatId, topicId);
+};
+
+// Status translations
+const getStatusText = (i18n, status) => i18n.t('status')[status] || status;
+
 // Format UTM parameters for display
-const formatUTM = (utmData) => {
+const formatUTM = (i18n, utmData) => {
   if (!utmData) return null;
   
   try {
     // Try to parse as JSON
     const utm = typeof utmData === 'string' ? JSON.parse(utmData) : utmData;
     
-    const parts = [];
-    if (utm.source) parts.push(`Источник: ${utm.source}`);
-    if (utm.medium) parts.push(`Канал: ${utm.medium}`);
-    if (utm.campaign) parts.push(`Кампания: ${utm.campaign}`);
-    if (utm.term) parts.push(`Термин: ${utm.term}`);
-    if (utm.content) parts.push(`Контент: ${utm.content}`);
+    const parts = ['source', 'medium', 'campaign', 'term', 'content']
+      .filter(key => utm[key])
+      .map(key => `${i18n.t(`utm.${key}`)}: ${utm[key]}`);
     
     return parts.length > 0 ? parts.join(' | ') : null;
   } catch (e) {
@@ -65,88 +219,210 @@ const formatUTM = (utmData) => {
   }
 };
 
-// Russian text templates
+// Phone shown on the card: the normalized number in international format, which
+// Telegram renders as a tappable call link, falling back to what the customer typed
+const formatPhone = (data) => formatPhoneForDisplay(data.phone_normalized) || data.phone;
+
+// A time range in the given timezone, e.g. "20.10 17:00–20:00 (America/New_York)"
+const formatSlot = (i18n, startsAt, endsAt, timeZone) => {
+  const start = i18n.formatDateTime(startsAt, {
+    timeZone, day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+  const end = i18n.formatDateTime(endsAt, { timeZone, hour: '2-digit', minute: '2-digit' });
+  return `${start.replace(',', '')}–${end} (${timeZone})`;
+};
+
+// Customer's preferred callback window in their own timezone
+const formatPreferredWindow = (i18n, data) => {
+  if (!data.preferred_start_at) return '';
+  return formatSlot(i18n, data.preferred_start_at, data.preferred_end_at, data.preferred_timezone || 'UTC');
+};
+
+const formatPreferredWindowLine = (i18n, data) => {
+  const window = formatPreferredWindow(i18n, data);
+  return window ? html`\n⏰ ${bold(i18n.t('card.preferredTime'))} ${window}` : '';
+};
+
+// Date and time in the chat's timezone, with the zone shown
+const formatTimestamp = (i18n, value) => i18n.formatDateTime(value, {
+  day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short'
+});
+
+// Status of a worked-on callback, with who completed it or why it was cancelled
+const formatStatusDetails = (i18n, callback) => {
+  const lines = [html`📌 ${bold(i18n.t('card.status'))} ${getStatusText(i18n, callback.status)}`];
+  if (callback.status === 'completed' && callback.completed_by) {
+    lines.push(html`✅ ${bold(i18n.t('card.completedBy'))} ${callback.completed_by}`);
+  }
+  if (callback.status === 'cancelled' && callback.cancellation_reason) {
+    lines.push(html`❌ ${bold(i18n.t('card.cancellationReason'))} ${callback.cancellation_reason}`);
+  }
+  return joinHtml(lines);
+};
+
+// Repeat submission counter shown on the card, e.g. "×3" for three submissions
+const formatRepeatCount = (i18n, data) => {
+  if (!data.repeat_count) return '';
+  return html`\n🔁 ${bold(i18n.t('card.repeat', { count: data.repeat_count + 1 }))}`;
+};
+
+// Actors stored as ids by the system rather than a person's name, plus the
+// name automatic assignments were recorded under before they had an id
+const systemActors = {
+  auto: 'card.autoAssign',
+  system: 'card.system',
+  'Автоназначение': 'card.autoAssign'
+};
+
+// Who made a history change, in the chat's language
+const formatActor = (i18n, actor) => {
+  if (!actor) return i18n.t('card.system');
+  return systemActors[actor] ? i18n.t(systemActors[actor]) : actor;
+};
+
+// Recent history lines for the bottom of a card (see TELEGRAM_CARD_HISTORY)
+const formatHistorySection = async (i18n, callbackId) => {
+  if (!(cardHistoryLimit > 0)) return '';
+
+  try {
+    const { getRecentHistory } = await import('./historyService.js');
+    const fieldLabels = i18n.t('historyFields');
+    const events = (await getRecentHistory(callbackId, cardHistoryLimit * 3))
+      .filter(event => fieldLabels[event.field])
+      .slice(-cardHistoryLimit);
+    if (events.length === 0) return '';
+
+    const lines = events.map(event => {
+      const time = i18n.formatDateTime(event.created_at, { hour: '2-digit', minute: '2-digit' });
+      const value = event.field === 'status' ? getStatusText(i18n, event.new_value) : (event.new_value ?? '—');
+      return html`• ${time} ${formatActor(i18n, event.actor)}: ${fieldLabels[event.field]} → ${value}`;
+    });
+
+    return html`\n\n📜 ${i18n.t('card.history')}\n${joinHtml(lines)}`;
+  } catch (error) {
+    console.error('❌ Error loading history for card:', error.message);
+    return '';
+  }
+};
+
+// Explain a rejected status change (see statusLifecycle.js) to the worker
+const formatActionError = (i18n, error) => {
+  if (error.code === 'INVALID_TRANSITION') {
+    return `❌ ${i18n.t('errors.invalidTransition', {
+      from: getStatusText(i18n, error.from),
+      to: getStatusText(i18n, error.to)
+    })}`;
+  }
+  if (error.code === 'MISSING_FIELDS') {
+    return `❌ ${i18n.t('errors.missingFields', { to: getStatusText(i18n, error.to), fields: error.fields.join(', ') })}`;
+  }
+  if (error.code === 'APPOINTMENT_OUTCOME_REQUIRED') {
+    return `❌ ${i18n.t('errors.appointmentOutcomeRequired')}`;
+  }
+  return `❌ ${i18n.t('errors.generic')}`;
+};
+
+// UTM line of a card, if the callback has UTM data
+const formatUtmLine = (i18n, data) => {
+  // Check both lowercase (database) and camelCase (for backward compatibility)
+  const utmFormatted = formatUTM(i18n, data.fromwhichutm || data.fromWhichUTM);
+  return utmFormatted ? html`\n📊 ${bold('UTM:')} ${utmFormatted}` : '';
+};
+
+// Text templates, in the localizer's language. Every template returns HTML built
+// with `html`, which escapes the customer's name, service, UTM values and
+// anything else interpolated.
 const messages = {
-  newCallback: (data) => {
-    // Check both lowercase (database) and camelCase (for backward compatibility)
-    const utmData = data.fromwhichutm || data.fromWhichUTM;
-    const utmFormatted = formatUTM(utmData);
-    const utmSection = utmFormatted ? `\n📊 *UTM:* ${utmFormatted}` : '';
-    
-    return `
-🔔 *Новая заявка на обратный звонок*
+  newCallback: (i18n, data) => html`
+🔔 ${bold(i18n.t('card.newCallback'))}
 
-👤 *Имя:* ${data.name}
-📞 *Телефон:* ${data.phone}
-🔧 *Услуга:* ${data.service_type || 'Не указана'}${utmSection}
-🕐 *Время:* ${new Date(data.created_at).toLocaleString('ru-RU')}
-🆔 *ID заявки:* \`${data.id}\`
+👤 ${bold(i18n.t('card.name'))} ${data.name}
+📞 ${bold(i18n.t('card.phone'))} ${formatPhone(data)}
+🔧 ${bold(i18n.t('card.service'))} ${data.service_type || i18n.t('card.noService')}${formatUtmLine(i18n, data)}
+🕐 ${bold(i18n.t('card.time'))} ${formatTimestamp(i18n, data.created_at)}${formatPreferredWindowLine(i18n, data)}
+🆔 ${bold(i18n.t('card.id'))} ${code(data.id)}${formatRepeatCount(i18n, data)}
 
-📋 *Статус:* ${getStatusText(data.status)}
-`;
-  },
+📋 ${bold(i18n.t('card.status'))} ${getStatusText(i18n, data.status)}
+`,
 
-  callbackCompleted: (data) => `
-✅ *Заявка выполнена*
+  callbackCompleted: (i18n, data) => html`
+✅ ${bold(i18n.t('completed.title'))}
 
-🆔 *ID:* \`${data.id}\`
-👤 *Клиент:* ${data.name}
-📞 *Телефон:* ${data.phone}
-👨‍🔧 *Выполнил:* ${data.completed_by || 'Не указан'}
-🕐 *Завершено:* ${new Date(data.completed_at).toLocaleString('ru-RU')}
+🆔 ${bold(i18n.t('completed.id'))} ${code(data.id)}
+👤 ${bold(i18n.t('completed.customer'))} ${data.name}
+📞 ${bold(i18n.t('card.phone'))} ${formatPhone(data)}
+👨‍🔧 ${bold(i18n.t('card.completedBy'))} ${data.completed_by || i18n.t('completed.nobody')}
+🕐 ${bold(i18n.t('completed.completedAt'))} ${formatTimestamp(i18n, data.completed_at)}
 `,
 
-  systemMessage: (message) => `
-ℹ️ *Системное уведомление*
+  note: (i18n, note) => html`📝 ${bold(i18n.t('note'))} — ${note.author || 'API'}
+
+${note.text}`,
+
+  systemMessage: (i18n, message) => html`
+ℹ️ ${bold(i18n.t('systemMessage'))}
 
 ${message}
 `,
 
-  error: (error) => `
-❌ *Ошибка системы*
+  error: (i18n, error) => html`
+❌ ${bold(i18n.t('systemError'))}
 
-\`${error}\`
+${code(error)}
 `
 };
 
-// Send message to workers group
-export const sendToWorkersGroup = async (message, options = {}) => {
+// Send message to a group chat, in a forum topic if given. `onSent` runs after
+// a successful send, including a later retry from the dead letters.
+const sendToChat = async (chatId, topicId, message, options = {}, { onSent } = {}) => {
   try {
-    if (!workersGroupId) {
+    if (!chatId) {
       console.warn('⚠️ TELEGRAM_WORKERS_GROUP_ID not configured');
       return null;
     }
 
     const sendOptions = {
-      parse_mode: 'Markdown',
+      parse_mode: 'HTML',
       disable_web_page_preview: true,
       ...options
     };
 
     // Add topic ID if specified
-    if (workersTopicId) {
-      sendOptions.message_thread_id = parseInt(workersTopicId);
+    if (topicId) {
+      sendOptions.message_thread_id = parseInt(topicId);
     }
 
-    const result = await bot.sendMessage(workersGroupId, message, sendOptions);
-    console.log('✅ Message sent to workers group');
+    const result = await sendMessage(chatId, message, sendOptions, { onSent });
+    console.log(`✅ Message sent to group ${chatId}${topicId ? ` (topic ${topicId})` : ''}`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to send message to workers group:', error.message);
+    console.error(`❌ Failed to send message to group ${chatId}:`, error.message);
     return null;
   }
 };
 
+// Send message to workers group
+export const sendToWorkersGroup = (message, options = {}) => sendToChat(workersGroupId, workersTopicId, message, options);
+
+// Post about a callback in its card's chat and topic, as a reply to the card when there is one
+const sendToCardChat = (callback, message, options = {}, queueOptions = {}) => {
+  const { chatId, topicId } = getCardChat(callback);
+  return sendToChat(chatId, topicId, message, {
+    ...(callback.telegram_message_id ? { reply_to_message_id: callback.telegram_message_id } : {}),
+    ...options
+  }, queueOptions);
+};
+
 // Send direct message to user
 export const sendDirectMessage = async (chatId, message, options = {}) => {
   try {
     const sendOptions = {
-      parse_mode: 'Markdown',
+      parse_mode: 'HTML',
       disable_web_page_preview: true,
       ...options
     };
 
-    const result = await bot.sendMessage(chatId, message, sendOptions);
+    const result = await sendMessage(chatId, message, sendOptions);
     console.log(`✅ Direct message sent to ${chatId}`);
     return result;
   } catch (error) {
@@ -155,26 +431,157 @@ export const sendDirectMessage = async (chatId, message, options = {}) => {
   }
 };
 
-// Send new callback notification
-export const notifyNewCallback = async (callbackData) => {
-  const message = messages.newCallback(callbackData);
-  
-  // Create inline keyboard with assignment buttons for Vlad and Denis (mobile-friendly)
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '👤 Влад', callback_data: `assign_vlad_${callbackData.id}` },
-        { text: '👤 Денис', callback_data: `assign_denis_${callbackData.id}` }
-      ]
-    ]
-  };
+// Assignment buttons on cards posted before the worker roster existed
+const legacyAssignPrefixes = {
+  assign_vlad_: 'Влад',
+  assign_denis_: 'Денис'
+};
 
-  // Send to workers group and store message ID for editing
-  const sentMessage = await sendToWorkersGroup(message, { reply_markup: keyboard });
-  if (sentMessage && sentMessage.message_id) {
-    await storeGroupMessage(callbackData.id, sentMessage.message_id, sentMessage.chat.id);
+// Split buttons into rows of two
+const toRows = (buttons) => {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
   }
-  
+  return rows;
+};
+
+const backButton = (i18n, callbackId) => ({ text: `« ${i18n.t('buttons.back')}`, callback_data: `back:${callbackId}` });
+
+// Inline keyboard with one assignment button per active worker who handles
+// the callback's service type (all active workers if nobody does), two per row.
+// callback_data is "assign:<workerId>:<callbackId>", within Telegram's 64 bytes.
+// For a reassignment the current worker is left out and a back button added.
+const buildAssignKeyboard = async (i18n, callback, { reassign = false } = {}) => {
+  try {
+    const { getWorkers, getWorkersForService } = await import('./workerService.js');
+    let workers = await getWorkersForService(callback.service_type);
+    if (workers.length === 0) {
+      workers = await getWorkers({ active: true });
+    }
+    if (reassign) {
+      workers = workers.filter(worker => worker.name !== callback.assigned_to);
+    }
+
+    const rows = toRows(workers.map(worker => ({
+      text: `👤 ${worker.name}`,
+      callback_data: `assign:${worker.id}:${callback.id}`
+    })));
+    if (reassign) {
+      rows.push([backButton(i18n, callback.id)]);
+    }
+    return { inline_keyboard: rows };
+  } catch (error) {
+    console.error('❌ Error building assignment keyboard:', error.message);
+    return { inline_keyboard: reassign ? [[backButton(i18n, callback.id)]] : [] };
+  }
+};
+
+// Buttons for an assigned callback: only the status changes the lifecycle
+// allows from its current status, plus reassign/unassign
+const buildLifecycleKeyboard = (i18n, callback) => {
+  const { id, status } = callback;
+  const buttons = [];
+
+  if (status !== 'contacted' && canTransition(status, 'contacted')) {
+    buttons.push({ text: `📞 ${i18n.t('buttons.contacted')}`, callback_data: `st:contacted:${id}` });
+  }
+  if (canTransition(status, 'completed')) {
+    buttons.push({ text: `✅ ${i18n.t('buttons.completed')}`, callback_data: `st:completed:${id}` });
+  }
+  if (canTransition(status, 'cancelled')) {
+    buttons.push({ text: `❌ ${i18n.t('buttons.cancel')}`, callback_data: `cancel:${id}` });
+  }
+  buttons.push({ text: `🔁 ${i18n.t('buttons.reassign')}`, callback_data: `reassign:${id}` });
+  if (canTransition(status, 'pending')) {
+    buttons.push({ text: `↩️ ${i18n.t('buttons.unassign')}`, callback_data: `unassign:${id}` });
+  }
+
+  return { inline_keyboard: toRows(buttons) };
+};
+
+// Reason picker shown after tapping cancel; the reasons come from the catalog
+// of the chat, and the chosen one is saved in that language
+const buildCancelReasonKeyboard = (i18n, callback) => ({
+  inline_keyboard: [
+    ...i18n.t('cancelReasons').map((reason, index) => [{ text: reason, callback_data: `cr:${index}:${callback.id}` }]),
+    [backButton(i18n, callback.id)]
+  ]
+});
+
+// Keyboard matching the callback's current state: assignment buttons while
+// nobody has taken it, lifecycle buttons while it is being worked on, none
+// once it is closed, merged or deleted
+const buildCallbackKeyboard = async (i18n, callback) => {
+  if (callback.merged_into || callback.deleted_at) {
+    return { inline_keyboard: [] };
+  }
+  if (callback.status === 'pending' && !callback.assigned_to) {
+    return buildAssignKeyboard(i18n, callback);
+  }
+  if (['in_progress', 'contacted'].includes(callback.status) && callback.assigned_to) {
+    return buildLifecycleKeyboard(i18n, callback);
+  }
+  return { inline_keyboard: [] };
+};
+
+// Parse button callback_data into { action, callbackId, ... }
+const parseCallbackData = (data) => {
+  const patterns = [
+    [/^assign:(\d+):(.+)$/, match => ({ action: 'assign', workerId: Number(match[1]), callbackId: match[2] })],
+    [/^st:(contacted|completed):(.+)$/, match => ({ action: 'status', status: match[1], callbackId: match[2] })],
+    [/^cr:(\d+):(.+)$/, match => ({ action: 'cancel', reasonIndex: Number(match[1]), callbackId: match[2] })],
+    [/^cancel:(.+)$/, match => ({ action: 'cancel_menu', callbackId: match[1] })],
+    [/^reassign:(.+)$/, match => ({ action: 'reassign_menu', callbackId: match[1] })],
+    [/^unassign:(.+)$/, match => ({ action: 'unassign', callbackId: match[1] })],
+    [/^back:(.+)$/, match => ({ action: 'back', callbackId: match[1] })]
+  ];
+
+  for (const [pattern, toAction] of patterns) {
+    const match = pattern.exec(data);
+    if (match) return toAction(match);
+  }
+
+  const legacyPrefix = Object.keys(legacyAssignPrefixes).find(prefix => data.startsWith(prefix));
+  if (legacyPrefix) {
+    return { action: 'assign', workerName: legacyAssignPrefixes[legacyPrefix], callbackId: data.slice(legacyPrefix.length) };
+  }
+
+  return null;
+};
+
+// Whether a Telegram user may change an assigned callback: Telegram admins
+// (TELEGRAM_ADMIN_IDS) always, otherwise only the assigned worker, matched
+// through the roster's telegram_user_id
+const canManageCallback = async (callback, telegramUserId) => {
+  if (telegramAdminIds.includes(String(telegramUserId))) return true;
+
+  const { getWorkerById, getWorkerByName } = await import('./workerService.js');
+  const worker = callback.assigned_worker_id
+    ? await getWorkerById(callback.assigned_worker_id)
+    : await getWorkerByName(callback.assigned_to);
+
+  return Boolean(worker?.telegram_user_id) && String(worker.telegram_user_id) === String(telegramUserId);
+};
+
+// Send new callback notification to the chat and topic its routing rule picks
+export const notifyNewCallback = async (callbackData) => {
+  const { resolveRoute } = await import('./routingService.js');
+  const route = await resolveRoute(callbackData);
+  if (route.rule) {
+    console.log(`🧭 Callback ${callbackData.id} routed by rule "${route.rule.name}" to ${route.chat_id}`);
+  }
+
+  const i18n = localizerForChat(route.chat_id, route.topic_id);
+  const message = formatCard(i18n, callbackData);
+  const keyboard = await buildCallbackKeyboard(i18n, callbackData);
+
+  // Store where the card went, for editing and replies, once it is out (also
+  // when it only goes out on a retry from the dead letters)
+  await sendToChat(route.chat_id, route.topic_id, message, { reply_markup: keyboard }, {
+    onSent: (sent) => storeGroupMessage(callbackData.id, sent.message_id, sent.chat.id, route.topic_id)
+  });
+
   return true;
 };
 
@@ -185,16 +592,172 @@ export const notifyCallbackCompleted = async (callbackData) => {
   return true;
 };
 
+// Refresh the group card after a repeat submission was attached to it
+export const notifyRepeatSubmission = async (callbackData) => {
+  console.log(`🔁 Callback ${callbackData.id} received a repeat submission (×${callbackData.repeat_count + 1})`);
+  await updateGroupMessage(callbackData.id);
+  return true;
+};
+
+// Mark the group card of a callback that was merged into another one
+export const notifyCallbackMerged = async (callbackData) => {
+  console.log(`🔗 Callback ${callbackData.id} merged into ${callbackData.merged_into}`);
+  const i18n = localizerForCallback(callbackData);
+  await updateGroupMessage(callbackData.id, i18n.t('card.mergedInto', { id: code(callbackData.merged_into) }));
+  return true;
+};
+
+// Mark the group card of a callback that was moved to the trash
+export const notifyCallbackDeleted = async (callbackData) => {
+  console.log(`🗑️ Callback ${callbackData.id} moved to trash`);
+  const i18n = localizerForCallback(callbackData);
+  await updateGroupMessage(callbackData.id, callbackData.deleted_by
+    ? i18n.t('card.deletedBy', { name: callbackData.deleted_by })
+    : i18n.t('card.deleted'));
+  return true;
+};
+
+// Refresh the group card of a callback restored from the trash
+export const notifyCallbackRestored = async (callbackData) => {
+  console.log(`♻️ Callback ${callbackData.id} restored from trash`);
+  await updateGroupMessage(callbackData.id, localizerForCallback(callbackData).t('card.restored'));
+  return true;
+};
+
+// Post a note added through the API as a reply to the callback's group card
+export const postNoteToThread = async (callback, note) => {
+  if (!callback.telegram_message_id) {
+    console.log(`⚠️ No group message for callback ${callback.id}, note not posted`);
+    return null;
+  }
+
+  // Replies to the posted note are saved as notes of the same callback
+  return sendToCardChat(callback, messages.note(localizerForCallback(callback), note), {}, {
+    onSent: async (sent) => {
+      const { setNoteTelegramMessage } = await import('./noteService.js');
+      await setNoteTelegramMessage(note.id, sent.message_id, sent.chat.id);
+    }
+  });
+};
+
+// Mention a worker so Telegram notifies them; plain name without a linked Telegram account
+const mentionWorker = (worker) => mention(worker.name, worker.telegram_user_id);
+
+// Re-ping the card's chat about a callback that breached its SLA, as a reply to the card
+export const notifySlaBreach = async (callbackData, breach, workers = []) => {
+  const i18n = localizerForCallback(callbackData);
+  const mentions = workers.length > 0 ? html`\n👥 ${joinHtml(workers.map(mentionWorker), ', ')}` : '';
+  const message = html`⏰ ${bold(i18n.t('sla.breached'))} ${i18n.t(`sla.${breach.type}`)} ${i18n.t('sla.within', { minutes: breach.thresholdMinutes })}
+
+👤 ${callbackData.name} — ${formatPhone(callbackData)}
+🔧 ${callbackData.service_type || i18n.t('card.noService')}
+⏱ ${i18n.t('sla.waiting', { minutes: breach.elapsedMinutes })}${mentions}`;
+
+  console.log(`⏰ SLA ${breach.key} breached for callback ${callbackData.id}`);
+  return sendToCardChat(callbackData, message);
+};
+
+// Escalate a callback past its second SLA threshold to the manager chat
+export const notifySlaEscalation = async (callbackData, breach, workers = []) => {
+  const i18n = managerChatId ? localizerForChat(managerChatId) : localizerForCallback(callbackData);
+  const responsible = workers.length > 0
+    ? html`\n👥 ${i18n.t('sla.responsible')} ${joinHtml(workers.map(mentionWorker), ', ')}`
+    : '';
+  const message = html`🚨 ${bold(i18n.t('sla.escalated'))} ${i18n.t(`sla.${breach.type}`)} ${i18n.t('sla.within', { minutes: breach.thresholdMinutes })}
+
+👤 ${callbackData.name} — ${formatPhone(callbackData)}
+🔧 ${callbackData.service_type || i18n.t('card.noService')}
+📌 ${i18n.t('sla.status')} ${getStatusText(i18n, callbackData.status)}${callbackData.assigned_to ? ` (${callbackData.assigned_to})` : ''}
+⏱ ${i18n.t('sla.waiting', { minutes: breach.elapsedMinutes })}
+🆔 ${code(callbackData.id)}${responsible}`;
+
+  console.log(`🚨 SLA ${breach.key} escalated for callback ${callbackData.id}`);
+  if (managerChatId) {
+    return sendDirectMessage(managerChatId, message);
+  }
+  return sendToCardChat(callbackData, message);
+};
+
+// Remind about a callback whose preferred window has opened: a reply to its card
+// mentioning the assigned worker, plus a direct message to them when possible.
+// Returns whether either message was delivered.
+export const notifyCallbackWindowOpen = async (callbackData, worker = null) => {
+  const buildMessage = (i18n) => html`⏰ ${bold(i18n.t('reminder.customerWaiting'))} ${formatPreferredWindow(i18n, callbackData)}
+
+👤 ${callbackData.name} — ${formatPhone(callbackData)}
+🔧 ${callbackData.service_type || i18n.t('card.noService')}${worker ? html`\n👨‍🔧 ${mentionWorker(worker)}` : ''}`;
+
+  console.log(`⏰ Preferred window opened for callback ${callbackData.id}`);
+  const posted = await sendToCardChat(callbackData, buildMessage(localizerForCallback(callbackData)));
+
+  // Only works once the worker has started a chat with the bot
+  let direct = null;
+  if (worker?.telegram_user_id) {
+    direct = await sendDirectMessage(worker.telegram_user_id, buildMessage(localizerForWorker(worker)));
+  }
+  return Boolean(posted || direct);
+};
+
+const appointmentIcons = {
+  scheduled: '📅',
+  rescheduled: '🔁',
+  cancelled: '🚫',
+  completed: '🏁'
+};
+
+// "Bosch WAT28 (стиральная машина): не сливает воду"
+const formatAppliance = (appliance = {}) => {
+  const name = [appliance.brand, appliance.model].filter(Boolean).join(' ');
+  const kind = appliance.type ? (name ? `${name} (${appliance.type})` : appliance.type) : name;
+  return [kind, appliance.issue].filter(Boolean).join(': ');
+};
+
+// Appointment change message; the slot is shown in the appointment's own timezone
+const formatAppointment = (i18n, callbackData, appointment, technician, event) => {
+  const lines = [
+    html`${appointmentIcons[event]} ${bold(i18n.t(`appointment.${event}`))}\n`,
+    html`👤 ${callbackData.name} — ${formatPhone(callbackData)}`,
+    html`🗓 ${bold(i18n.t('appointment.when'))} ${formatSlot(i18n, appointment.starts_at, appointment.ends_at, appointment.timezone || 'UTC')}`,
+    html`📍 ${bold(i18n.t('appointment.address'))} ${appointment.address}`
+  ];
+  const appliance = formatAppliance(appointment.appliance);
+  if (appliance) lines.push(html`🔧 ${bold(i18n.t('appointment.appliance'))} ${appliance}`);
+  if (technician) lines.push(html`👨‍🔧 ${bold(i18n.t('appointment.technician'))} ${mentionWorker(technician)}`);
+  if (event === 'cancelled' && appointment.cancellation_reason) {
+    lines.push(html`❌ ${bold(i18n.t('appointment.reason'))} ${appointment.cancellation_reason}`);
+  }
+  if (event === 'completed') {
+    const outcome = i18n.t('appointment.outcomes')[appointment.outcome] || appointment.outcome;
+    lines.push(html`📋 ${bold(i18n.t('appointment.outcome'))} ${outcome}`);
+    if (appointment.outcome_notes) lines.push(html`📝 ${appointment.outcome_notes}`);
+  }
+  return joinHtml(lines);
+};
+
+// Post an appointment change as a reply to the callback's card and let the technician know
+export const notifyAppointment = async (callbackData, appointment, technician = null, event = 'scheduled') => {
+  console.log(`📅 Appointment ${appointment.id} ${event}, notifying group`);
+  const message = formatAppointment(localizerForCallback(callbackData), callbackData, appointment, technician, event);
+  const sentMessage = await sendToCardChat(callbackData, message);
+
+  // The technician gets scheduling changes directly; the outcome they entered themselves
+  if (technician?.telegram_user_id && event !== 'completed') {
+    const direct = formatAppointment(localizerForWorker(technician), callbackData, appointment, technician, event);
+    await sendDirectMessage(technician.telegram_user_id, direct);
+  }
+  return sentMessage;
+};
+
 // Send system notification
 export const sendSystemNotification = async (messageText) => {
-  const message = messages.systemMessage(messageText);
+  const message = messages.systemMessage(groupLocalizer, messageText);
   await sendToWorkersGroup(message);
   return true;
 };
 
 // Send error notification
 export const sendErrorNotification = async (error) => {
-  const message = messages.error(error);
+  const message = messages.error(groupLocalizer, error);
   await sendToWorkersGroup(message);
   return true;
 };
@@ -203,7 +766,7 @@ export const sendErrorNotification = async (error) => {
 const groupMessages = new Map();
 
 // Enhanced group message storage with database fallback
-const storeGroupMessage = async (callbackId, messageId, chatId) => {
+const storeGroupMessage = async (callbackId, messageId, chatId, topicId = null) => {
   try {
     groupMessages.set(callbackId, { messageId, chatId });
     
@@ -211,7 +774,8 @@ const storeGroupMessage = async (callbackId, messageId, chatId) => {
     const { updateCallbackStatus } = await import('./callbackService.js');
     await updateCallbackStatus(callbackId, {
       telegram_message_id: messageId,
-      telegram_chat_id: chatId
+      telegram_chat_id: chatId,
+      telegram_topic_id: topicId ? Number(topicId) : null
     });
     
     console.log(`📌 Group message stored for callback ${callbackId}`);
@@ -227,9 +791,9 @@ const getGroupMessage = async (callbackId) => {
     let messageData = groupMessages.get(callbackId);
     
     if (!messageData) {
-      // Fallback to database
+      // Fallback to database (cards of deleted callbacks are still edited)
       const { getCallbackById } = await import('./callbackService.js');
-      const callback = await getCallbackById(callbackId);
+      const callback = await getCallbackById(callbackId, { includeDeleted: true });
       
       if (callback && callback.telegram_message_id && callback.telegram_chat_id) {
         messageData = {
@@ -254,61 +818,75 @@ export const handleCallbackQuery = async (callbackQuery) => {
   console.log('🔘 Callback query received:', callbackQuery.data, 'from user:', callbackQuery.from.first_name);
   console.log('🔘 Full callback query object:', JSON.stringify(callbackQuery, null, 2));
   
-  // Immediate answer to prevent multiple clicks
-  try {
-    await bot.answerCallbackQuery(callbackQuery.id, { text: '⏳ Обрабатываем...' });
-    console.log('✅ Initial callback query answered');
-  } catch (error) {
-    console.error('❌ Error answering initial callback query:', error.message);
-  }
-  
+  // A callback query can only be answered once, so the answer is sent when the
+  // outcome is known; otherwise rejections (e.g. illegal status changes) never reach the worker
   const { data, from, message } = callbackQuery;
+
+  // Answers and pickers are in the language of the chat the button is in
+  let i18n = message ? localizerForChat(message.chat.id, message.message_thread_id) : groupLocalizer;
   
-  // Parse callback data for assignment actions
-  let action, assignedPerson, callbackId;
+  // Parse callback data into an action
+  const parsed = parseCallbackData(data);
   
-  if (data.startsWith('assign_vlad_')) {
-    action = 'assign';
-    assignedPerson = 'Влад';
-    callbackId = data.replace('assign_vlad_', '');
-    console.log('✅ Parsed Vlad assignment:', { action, assignedPerson, callbackId });
-  } else if (data.startsWith('assign_denis_')) {
-    action = 'assign';
-    assignedPerson = 'Денис';
-    callbackId = data.replace('assign_denis_', '');
-    console.log('✅ Parsed Denis assignment:', { action, assignedPerson, callbackId });
+  if (parsed) {
+    console.log('✅ Parsed callback data:', parsed);
   } else {
     console.log('❌ Unknown callback data:', data);
     // Handle unknown actions
-    await bot.answerCallbackQuery(callbackQuery.id, { 
-      text: '❌ Неизвестное действие' 
+    await answerCallbackQuery(callbackQuery.id, { 
+      text: `❌ ${i18n.t('actions.unknown')}` 
     });
     return;
   }
+
+  const answer = async (text, showAlert = false) => {
+    try {
+      await answerCallbackQuery(callbackQuery.id, { text, show_alert: showAlert });
+    } catch (error) {
+      console.error('❌ Error answering callback query:', error.message);
+    }
+  };
   
-  const userName = from.first_name || 'Работник';
   const userId = from.id;
-  console.log('👤 User info:', { userName, userId });
   
   try {
     console.log('📦 Importing callback service...');
     // Import here to avoid circular dependency
     const { updateCallbackStatus, getCallbackById } = await import('./callbackService.js');
+    const { getWorkerById, getWorkerByName, getWorkerByTelegramId } = await import('./workerService.js');
     console.log('✅ Callback service imported successfully');
     
+    const { action, callbackId } = parsed;
+
+    // Workers on the roster act under their roster name
+    const actingWorker = await getWorkerByTelegramId(userId);
+    if (message) {
+      i18n = localizerForMessage(message, actingWorker);
+    }
+    const userName = actingWorker?.name || from.first_name || i18n.t('actions.workerFallbackName');
+    console.log('👤 User info:', { userName, userId });
+
+    // The worker to assign must still be on the roster and active
+    let worker = null;
+    if (action === 'assign') {
+      worker = parsed.workerId
+        ? await getWorkerById(parsed.workerId)
+        : await getWorkerByName(parsed.workerName);
+
+      if (!worker || !worker.active) {
+        await answer(`❌ ${i18n.t('actions.workerNotFound')}`);
+        return;
+      }
+    }
+
     console.log('🔍 Getting callback by ID:', callbackId);
     
     // Handle test callbacks differently
     if (callbackId.startsWith('test-')) {
       console.log('🧪 Processing test callback:', callbackId);
-      const responseText = `👤 Тест: заявка привязана под ${assignedPerson} (назначил: ${userName})`;
-      
-      try {
-        await bot.answerCallbackQuery(callbackQuery.id, { text: responseText, show_alert: false });
-        console.log('✅ Test callback processed successfully');
-      } catch (error) {
-        console.error('❌ Error processing test callback:', error.message);
-      }
+      await answer(worker
+        ? `👤 ${i18n.t('actions.testAssigned', { worker: worker.name, by: userName })}`
+        : `🧪 ${i18n.t('actions.testButton')}`);
       return;
     }
     
@@ -317,66 +895,147 @@ export const handleCallbackQuery = async (callbackQuery) => {
     
     if (!existingCallback) {
       console.log('❌ Callback not found in database:', callbackId);
-      try {
-        await bot.answerCallbackQuery(callbackQuery.id, { 
-          text: '❌ Заявка не найдена' 
-        });
-      } catch (error) {
-        console.error('❌ Error sending not found response:', error.message);
-      }
+      await answer(`❌ ${i18n.t('actions.notFound')}`);
+      return;
+    }
+
+    // Anyone may take an unassigned callback, or override an automatic
+    // assignment; otherwise only the assigned worker or a Telegram admin may change it
+    const isOverride = existingCallback.auto_assigned && ['assign', 'reassign_menu', 'unassign', 'back'].includes(action);
+    if (existingCallback.assigned_to && !isOverride && !(await canManageCallback(existingCallback, userId))) {
+      await answer(`⛔ ${i18n.t('actions.notAllowed')}`, true);
+      return;
+    }
+
+    // Pickers only swap the buttons under the card
+    if (['cancel_menu', 'reassign_menu', 'back'].includes(action)) {
+      const keyboard = action === 'cancel_menu'
+        ? buildCancelReasonKeyboard(i18n, existingCallback)
+        : action === 'reassign_menu'
+          ? await buildAssignKeyboard(i18n, existingCallback, { reassign: true })
+          : await buildCallbackKeyboard(i18n, existingCallback);
+
+      await editMessageReplyMarkup(keyboard, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+      });
+      await answer('');
       return;
     }
     
     let statusUpdate = {};
-    let responseText = '';
-    let newKeyboard = null;
+    // What happened, in a given language: the presser's for the answer, the
+    // group's for the card
+    let describe = () => '';
     
     if (action === 'assign') {
-      statusUpdate = { 
-        status: 'in_progress',
-        updated_at: new Date().toISOString(),
-        assigned_to: assignedPerson,
-        assigned_user_id: userId
+      statusUpdate = {
+        assigned_to: worker.name,
+        assigned_worker_id: worker.id,
+        assigned_user_id: userId,
+        auto_assigned: false
       };
-      responseText = `👤 Заявка привязана под ${assignedPerson} (назначил: ${userName})`;
-      
-      // Remove all buttons after assignment
-      newKeyboard = { inline_keyboard: [] };
-      
-      console.log('📝 Status update data:', statusUpdate);
+      // Reassigning keeps the current status
+      if (existingCallback.status === 'pending') {
+        statusUpdate.status = 'in_progress';
+      }
+      describe = (lang) => (existingCallback.assigned_to
+        ? `🔁 ${lang.t('actions.reassigned', { worker: worker.name, by: userName })}`
+        : `👤 ${lang.t('actions.assigned', { worker: worker.name, by: userName })}`);
+    } else if (action === 'status' && parsed.status === 'contacted') {
+      statusUpdate = { status: 'contacted' };
+      describe = (lang) => `📞 ${lang.t('actions.contacted', { by: userName })}`;
+    } else if (action === 'status' && parsed.status === 'completed') {
+      statusUpdate = { status: 'completed', completed_by: userName };
+      describe = (lang) => `✅ ${lang.t('actions.completed', { by: userName })}`;
+    } else if (action === 'cancel') {
+      // Picked from the reasons of this chat's language
+      const reason = i18n.t('cancelReasons')[parsed.reasonIndex];
+      if (!reason) {
+        await answer(`❌ ${i18n.t('actions.unknownReason')}`);
+        return;
+      }
+      statusUpdate = { status: 'cancelled', cancellation_reason: reason };
+      describe = (lang) => `❌ ${lang.t('actions.cancelled', { reason, by: userName })}`;
+    } else if (action === 'unassign') {
+      // Back to pending; the lifecycle clears the assignment
+      statusUpdate = { status: 'pending' };
+      describe = (lang) => `↩️ ${lang.t('actions.unassigned', { by: userName })}`;
     }
     
+    console.log('📝 Status update data:', statusUpdate);
+
     // Update status in database
     if (Object.keys(statusUpdate).length > 0) {
       console.log('💾 Updating callback status in database...');
-      const updatedCallback = await updateCallbackStatus(callbackId, statusUpdate);
+      const updatedCallback = await updateCallbackStatus(callbackId, statusUpdate, {
+        actor: userName,
+        actorId: userId,
+        source: 'telegram'
+      });
       console.log('✅ Database update successful:', updatedCallback);
     }
     
     // Send final response
     console.log('📤 Sending final response to user...');
-    try {
-      await bot.answerCallbackQuery(callbackQuery.id, { text: responseText, show_alert: false });
-      console.log('✅ Final response sent');
-    } catch (error) {
-      console.error('❌ Error sending final response:', error.message);
-    }
+    await answer(describe(i18n));
     
-    // Update the original group message
+    // Re-render the card with the buttons for its new state
     console.log('✏️ Updating group message...');
-    await updateGroupMessage(callbackId, responseText, newKeyboard, true);
+    await updateGroupMessage(callbackId, describe(localizerForCallback(existingCallback)));
     console.log('✅ Group message updated');
+
+    // A copy posted by /queue keeps its own buttons; bring them in line with the card
+    if (message && String(message.message_id) !== String(existingCallback.telegram_message_id)) {
+      await syncCommandKeyboard(i18n, callbackId, message);
+    }
     
   } catch (error) {
     console.error('❌ Error handling callback query:', error);
     console.error('❌ Error stack:', error.stack);
-    await bot.answerCallbackQuery(callbackQuery.id, { 
-      text: '❌ Произошла ошибка при обработке запроса' 
+    await answer(formatActionError(i18n, error), Boolean(error.code));
+  }
+};
+
+// Swap the buttons under a command reply for the ones the callback's card now shows
+const syncCommandKeyboard = async (i18n, callbackId, message) => {
+  try {
+    const { getCallbackById } = await import('./callbackService.js');
+    const callback = await getCallbackById(callbackId);
+    const keyboard = callback ? await buildCallbackKeyboard(i18n, callback) : { inline_keyboard: [] };
+    await editMessageReplyMarkup(keyboard, {
+      chat_id: message.chat.id,
+      message_id: message.message_id
     });
+  } catch (error) {
+    console.error(`❌ Error updating command reply for callback ${callbackId}:`, error.message);
   }
 };
 
-// Update the original group message with status changes
+// Card text for a callback: the assigned format once a worker has it,
+// the new callback format before that
+const formatCard = (i18n, callback, statusText) => {
+  if (callback.status !== 'pending' && callback.assigned_to) {
+    return html`
+🔔 ${bold(i18n.t('card.assignedTo', { name: callback.assigned_to }))}
+
+👤 ${bold(i18n.t('card.name'))} ${callback.name}
+📞 ${bold(i18n.t('card.phone'))} ${formatPhone(callback)}
+🔧 ${bold(i18n.t('card.service'))} ${callback.service_type || i18n.t('card.noService')}${formatUtmLine(i18n, callback)}
+🕐 ${bold(i18n.t('card.time'))} ${formatTimestamp(i18n, callback.created_at)}${formatPreferredWindowLine(i18n, callback)}
+🆔 ${bold(i18n.t('card.id'))} ${code(callback.id)}${formatRepeatCount(i18n, callback)}
+
+👨‍🔧 ${bold(i18n.t('card.assigned'))} ${callback.assigned_to}${callback.auto_assigned ? html` 🤖 ${italic(i18n.t('card.automatically'))}` : ''}
+${formatStatusDetails(i18n, callback)}
+${statusText ? html`🔄 ${bold(statusText)}\n` : ''}`;
+  }
+
+  // Original format for unassigned callbacks
+  return html`${messages.newCallback(i18n, callback)}${statusText ? html`\n\n🔄 ${bold(i18n.t('card.update'))} ${statusText}` : ''}`;
+};
+
+// Update the original group message with status changes (statusText in the
+// group's language). When no keyboard is given, the one matching the callback's state is used.
 const updateGroupMessage = async (callbackId, statusText, newKeyboard, useShortFormat = false) => {
   try {
     const messageData = await getGroupMessage(callbackId);
@@ -386,46 +1045,23 @@ const updateGroupMessage = async (callbackId, statusText, newKeyboard, useShortF
     }
 
     const { getCallbackById } = await import('./callbackService.js');
-    const callback = await getCallbackById(callbackId);
+    const callback = await getCallbackById(callbackId, { includeDeleted: true });
     
     if (!callback) {
       console.log(`⚠️ Callback ${callbackId} not found for message update`);
       return;
     }
 
-    let updatedMessage;
-    
-    // Format message with assignment information
-    if (callback.status === 'in_progress' && callback.assigned_to) {
-      // Check both lowercase (database) and camelCase (for backward compatibility)
-      const utmData = callback.fromwhichutm || callback.fromWhichUTM;
-      const utmFormatted = formatUTM(utmData);
-      const utmSection = utmFormatted ? `\n📊 *UTM:* ${utmFormatted}` : '';
-      
-      updatedMessage = `
-🔔 *Заявка привязана под ${callback.assigned_to}*
-
-👤 *Имя:* ${callback.name}
-📞 *Телефон:* ${callback.phone}
-🔧 *Услуга:* ${callback.service_type || 'Не указана'}${utmSection}
-🕐 *Время:* ${new Date(callback.created_at).toLocaleString('ru-RU')}
-🆔 *ID заявки:* \`${callback.id}\`
-
-👨‍🔧 *Назначен:* ${callback.assigned_to}
-🔄 *${statusText}*
-`;
-    } else {
-      // Original format for unassigned callbacks
-      const originalMessage = messages.newCallback(callback);
-      updatedMessage = originalMessage + (statusText ? `\n\n🔄 *Обновление:* ${statusText}` : '');
-    }
+    const i18n = localizerForCallback(callback);
+    const keyboard = newKeyboard || await buildCallbackKeyboard(i18n, callback);
+    const updatedMessage = html`${formatCard(i18n, callback, statusText)}${await formatHistorySection(i18n, callbackId)}`;
 
     try {
-      await bot.editMessageText(updatedMessage, {
+      await editMessageText(updatedMessage, {
         chat_id: messageData.chatId,
         message_id: messageData.messageId,
-        parse_mode: 'Markdown',
-        reply_markup: newKeyboard
+        parse_mode: 'HTML',
+        reply_markup: keyboard
       });
 
       console.log(`✅ Group message updated for callback ${callbackId}`);
@@ -433,7 +1069,8 @@ const updateGroupMessage = async (callbackId, statusText, newKeyboard, useShortF
       console.error(`❌ Error editing message for callback ${callbackId}:`, editError.message);
       // Try sending a new message if editing fails
       try {
-        await sendToWorkersGroup(`🔄 ${updatedMessage}`, { reply_markup: newKeyboard });
+        const { chatId, topicId } = getCardChat(callback);
+        await sendToChat(chatId, topicId, html`🔄 ${updatedMessage}`, { reply_markup: keyboard });
         console.log(`✅ Sent new message instead of editing for callback ${callbackId}`);
       } catch (sendError) {
         console.error(`❌ Error sending new message for callback ${callbackId}:`, sendError.message);
@@ -444,25 +1081,31 @@ const updateGroupMessage = async (callbackId, statusText, newKeyboard, useShortF
   }
 };
 
-// Set up bot commands
+// Set up bot commands: TELEGRAM_LOCALE by default, and each catalog for users
+// whose Telegram app is in that language
 export const setBotCommands = async () => {
   try {
-    const commands = [
-      { command: 'start', description: 'Начать работу с ботом' },
-      { command: 'help', description: 'Показать справку' }
-    ];
+    const commandsFor = (locale) => Object.entries(createLocalizer({ locale }).t('commands.menu'))
+      .map(([command, description]) => ({ command, description }));
     
-    await bot.setMyCommands(commands);
+    await bot.setMyCommands(commandsFor(defaultLocale));
+    for (const locale of SUPPORTED_LOCALES) {
+      await bot.setMyCommands(commandsFor(locale), { language_code: locale });
+    }
     console.log('✅ Bot commands set successfully');
   } catch (error) {
     console.error('❌ Error setting bot commands:', error.message);
   }
 };
 
+// Username of the bot, to tell "/queue@ThisBot" from commands meant for other bots
+let botUsername = null;
+
 // Test bot connection
 export const testBotConnection = async () => {
   try {
     const me = await bot.getMe();
+    botUsername = me.username;
     console.log('✅ Bot connected successfully:', me.first_name);
     return true;
   } catch (error) {
@@ -471,6 +1114,47 @@ export const testBotConnection = async () => {
   }
 };
 
+// Start receiving updates for TELEGRAM_MODE. Telegram refuses getUpdates while
+// a webhook is set, so polling removes it first; webhook mode (re)registers ours.
+export const startUpdates = async () => {
+  try {
+    if (telegramMode === 'webhook') {
+      const url = `${webhookBaseUrl.replace(/\/+$/, '')}${TELEGRAM_WEBHOOK_PATH}`;
+      await bot.setWebHook(url, {
+        secret_token: webhookSecret,
+        allowed_updates: JSON.stringify(allowedUpdates)
+      });
+      console.log(`✅ Telegram webhook set: ${url}`);
+    } else if (telegramMode === 'polling') {
+      try {
+        await bot.deleteWebHook();
+      } catch (error) {
+        console.error('❌ Error removing Telegram webhook:', error.message);
+      }
+      await bot.startPolling();
+      console.log('✅ Telegram polling started');
+    } else {
+      console.log('⏸️ Telegram updates disabled; the bot only sends notifications');
+    }
+  } catch (error) {
+    console.error(`❌ Error starting Telegram ${telegramMode}:`, error.message);
+  }
+};
+
+// Whether a webhook request carries our secret (X-Telegram-Bot-Api-Secret-Token)
+export const isValidWebhookSecret = (received) => {
+  if (telegramMode !== 'webhook' || typeof received !== 'string') return false;
+
+  const expected = Buffer.from(webhookSecret);
+  const actual = Buffer.from(received);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Dispatch an update received on the webhook to the handlers below
+export const processWebhookUpdate = (update) => {
+  bot.processUpdate(update);
+};
+
 // Set up callback query handler
 bot.on('callback_query', (callbackQuery) => {
   console.log('🔘 Callback query event received');
@@ -479,12 +1163,202 @@ bot.on('callback_query', (callbackQuery) => {
   });
 });
 
-// Set up message handler for debugging
+// Save replies to a callback's card (or to one of its notes) as notes; cards may be in
+// the workers group or in any chat a routing rule sends leads to
+const handleGroupReply = async (msg) => {
+  const text = (msg.text || msg.caption || '').trim();
+  const repliedTo = msg.reply_to_message;
+
+  if (!repliedTo || !text || text.startsWith('/') || msg.from?.is_bot) return;
+  if (msg.chat.type === 'private') return;
+
+  const { findCallbackIdByTelegramMessage, createNote } = await import('./noteService.js');
+  const callbackId = await findCallbackIdByTelegramMessage(msg.chat.id, repliedTo.message_id);
+  if (!callbackId) return;
+
+  await createNote(callbackId, {
+    text,
+    author: msg.from.first_name || localizerForChat(msg.chat.id, msg.message_thread_id).t('actions.workerFallbackName'),
+    authorId: msg.from.id,
+    source: 'telegram',
+    telegramMessageId: msg.message_id,
+    telegramChatId: msg.chat.id
+  });
+};
+
+const statsRanges = ['24h', '7d', '30d'];
+
+const helpText = (i18n) => html`🤖 ${bold(i18n.t('commands.help.title'))}
+
+/queue — ${i18n.t('commands.help.queue')}
+/my — ${i18n.t('commands.help.my')}
+/stats ${code('24h|7d|30d')} — ${i18n.t('commands.help.stats')}
+/find ${code(i18n.t('commands.help.phone'))} — ${i18n.t('commands.help.find')}`;
+
+// One line per lead in command replies
+const formatLeadLine = (i18n, callback) => {
+  const parts = [
+    html`👤 ${callback.name} — ${formatPhone(callback)}`,
+    callback.service_type || i18n.t('card.noService'),
+    getStatusText(i18n, callback.status)
+  ];
+  if (callback.assigned_to && callback.status !== 'pending') {
+    parts.push(html`👨‍🔧 ${callback.assigned_to}`);
+  }
+  const window = formatPreferredWindow(i18n, callback);
+  if (window) parts.push(html`⏰ ${window}`);
+  return html`• ${joinHtml(parts, ' · ')}\n  🆔 ${code(callback.id)}`;
+};
+
+const commandHelp = async (reply, args, worker, i18n) => {
+  await reply(helpText(i18n));
+};
+
+// /queue: pending leads, most urgent first, each with its own assignment buttons
+const commandQueue = async (reply, args, worker, i18n) => {
+  const { getAllCallbacks } = await import('./callbackService.js');
+  const { data, pagination } = await getAllCallbacks({
+    status: 'pending',
+    sortBy: 'due_at',
+    sortOrder: 'asc',
+    limit: queueLimit
+  });
+
+  if (data.length === 0) {
+    await reply(`✅ ${i18n.t('commands.queueEmpty')}`);
+    return;
+  }
+
+  const total = pagination?.total ?? data.length;
+  const shown = total > data.length ? ` ${i18n.t('commands.queueShown', { count: data.length })}` : '';
+  await reply(html`📥 ${bold(i18n.t('commands.queueTitle'))} ${total}${shown}`);
+  for (const callback of data) {
+    await reply(formatLeadLine(i18n, callback), { reply_markup: await buildAssignKeyboard(i18n, callback) });
+  }
+};
+
+// /my: open leads assigned to the worker who asked
+const commandMy = async (reply, args, worker, i18n) => {
+  if (!worker) {
+    await reply(`❌ ${i18n.t('commands.notOnRoster')}`);
+    return;
+  }
+
+  const { getAllCallbacks, OPEN_STATUSES } = await import('./callbackService.js');
+  const { data, pagination } = await getAllCallbacks({
+    status: OPEN_STATUSES,
+    assigned_worker_id: worker.id,
+    sortBy: 'due_at',
+    sortOrder: 'asc',
+    limit: 10
+  });
+
+  if (data.length === 0) {
+    await reply(`✅ ${i18n.t('commands.myEmpty', { name: worker.name })}`);
+    return;
+  }
+
+  const total = pagination?.total ?? data.length;
+  const lines = data.map(callback => formatLeadLine(i18n, callback));
+  await reply(html`👨‍🔧 ${bold(i18n.t('commands.myTitle'))} ${total}\n\n${joinHtml(lines)}`);
+};
+
+// /stats [24h|7d|30d]
+const commandStats = async (reply, args, worker, i18n) => {
+  const timeRange = args || '24h';
+  if (!statsRanges.includes(timeRange)) {
+    await reply(html`❌ ${i18n.t('commands.statsUsage', { day: code('24h'), week: code('7d'), month: code('30d') })}`);
+    return;
+  }
+
+  const { getCallbackStats, CALLBACK_STATUSES } = await import('./callbackService.js');
+  const stats = await getCallbackStats(timeRange);
+  const lines = CALLBACK_STATUSES.map(status => `${getStatusText(i18n, status)}: ${stats[status]}`);
+  const title = i18n.t('commands.statsTitle', { range: i18n.t(`commands.statsRanges.${timeRange}`) });
+  await reply(html`📊 ${bold(title)}\n\n${i18n.t('commands.statsTotal', { total: stats.total })}\n${lines.join('\n')}`);
+};
+
+// /find <phone>: latest leads whose phone contains the digits
+const commandFind = async (reply, args, worker, i18n) => {
+  if ((args || '').replace(/\D/g, '').length < 3) {
+    await reply(html`❌ ${i18n.t('commands.findUsage', { example: code('+1 212 555 0100') })}`);
+    return;
+  }
+
+  const { getAllCallbacks } = await import('./callbackService.js');
+  const { data } = await getAllCallbacks({ q: args, limit: 5, includeCount: false });
+
+  if (data.length === 0) {
+    await reply(`🔍 ${i18n.t('commands.findEmpty')}`);
+    return;
+  }
+  const lines = data.map(callback => formatLeadLine(i18n, callback));
+  await reply(html`🔍 ${bold(i18n.t('commands.findTitle'))}\n\n${joinHtml(lines)}`);
+};
+
+const commandHandlers = {
+  start: commandHelp,
+  help: commandHelp,
+  queue: commandQueue,
+  my: commandMy,
+  stats: commandStats,
+  find: commandFind
+};
+
+// Bot commands, available to workers on the roster and Telegram admins.
+// Replies go to the chat and topic the command came from, in its language.
+const handleCommand = async (msg) => {
+  const match = /^\/(\w+)(?:@(\w+))?(?:\s+([\s\S]*))?$/.exec((msg.text || '').trim());
+  if (!match || msg.from?.is_bot) return;
+
+  const [, command, mentionedBot, rawArgs] = match;
+  if (mentionedBot && botUsername && mentionedBot.toLowerCase() !== botUsername.toLowerCase()) return;
+
+  const handler = commandHandlers[command];
+  if (!handler) return;
+
+  const reply = (text, options = {}) => sendMessage(msg.chat.id, text, {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...(msg.message_thread_id ? { message_thread_id: msg.message_thread_id } : {}),
+    ...options
+  });
+
+  const { getWorkerByTelegramId } = await import('./workerService.js');
+  const worker = await getWorkerByTelegramId(msg.from.id);
+  const i18n = localizerForMessage(msg, worker);
+  const isAdmin = telegramAdminIds.includes(String(msg.from.id));
+  if (!(worker?.active || isAdmin)) {
+    await reply(`⛔ ${i18n.t('commands.rosterOnly')}`);
+    return;
+  }
+
+  console.log(`💬 Command /${command} from ${worker?.name || msg.from.id}`);
+  try {
+    await handler(reply, rawArgs?.trim() || '', worker?.active ? worker : null, i18n);
+  } catch (error) {
+    console.error(`❌ Error handling /${command}:`, error.message);
+    await reply(`❌ ${i18n.t('commands.failed')}`);
+  }
+};
+
+// Set up message handler
 bot.on('message', (msg) => {
   console.log('📨 Message received:', {
     chatId: msg.chat.id,
     text: msg.text,
-    from: msg.from.first_name
+    from: msg.from?.first_name
+  });
+
+  if (msg.text?.startsWith('/')) {
+    handleCommand(msg).catch(error => {
+      console.error('❌ Error handling bot command:', error.message);
+    });
+    return;
+  }
+
+  handleGroupReply(msg).catch(error => {
+    console.error('❌ Error saving Telegram reply as note:', error.message);
   });
 });
 
@@ -509,14 +1383,19 @@ bot.on('polling_error', (error) => {
 // Initialize bot
 console.log('🤖 Initializing Telegram bot...');
 console.log('📋 Bot features:');
-console.log('   • Assignment system for Vlad and Denis');
+console.log('   • Assignment buttons from the worker roster');
 console.log('   • Group notifications');
 console.log('   • Message editing');
 console.log('   • Callback query handling');
+console.log('   • Commands: /queue, /my, /stats, /find');
+console.log(`   • Updates via ${telegramMode}`);
 
 // Set up commands
 setBotCommands();
 
+// Start polling or register the webhook
+startUpdates();
+
 // Test connection
 testBotConnection();
 
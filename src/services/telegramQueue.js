@@ -0,0 +1,262 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Telegram allows about 20 messages a minute in a group and one a second in a
+// private chat; edits count too. Calls that do not post to a chat (answers to
+// button presses) are not spaced out.
+export const telegramQueueConfig = {
+  groupIntervalMs: readInt(process.env.TELEGRAM_GROUP_INTERVAL_MS, 3000),
+  chatIntervalMs: readInt(process.env.TELEGRAM_CHAT_INTERVAL_MS, 1000),
+  maxAttempts: readInt(process.env.TELEGRAM_MAX_ATTEMPTS, 5),
+  retryBackoffMs: readInt(process.env.TELEGRAM_RETRY_BACKOFF_MS, 1000),
+  deadLetterLimit: readInt(process.env.TELEGRAM_DEAD_LETTER_LIMIT, 100)
+};
+
+// Calls waiting to run, oldest first
+const pending = [];
+// Chat key -> earliest time (ms) the next call to that chat may run
+const nextCallAt = new Map();
+// Calls that failed for good, newest last
+const deadLetters = [];
+
+const stats = {
+  sent: 0,
+  retried: 0,
+  rateLimited: 0,
+  failed: 0,
+  lastFailureAt: null,
+  since: new Date().toISOString()
+};
+
+let nextJobId = 1;
+let timer = null;
+// Calls in flight, and the chats they post to
+let running = 0;
+const busyChats = new Set();
+
+const toChatKey = (chatId) => (chatId === null || chatId === undefined ? null : String(chatId));
+
+// Group and supergroup ids are negative
+const intervalFor = (chat) => (chat.startsWith('-')
+  ? telegramQueueConfig.groupIntervalMs
+  : telegramQueueConfig.chatIntervalMs);
+
+const readyAt = (job) => Math.max(job.notBefore, job.chat === null ? 0 : nextCallAt.get(job.chat) || 0);
+
+// Seconds Telegram asks us to wait after a 429
+const getRetryAfter = (error) => error.response?.body?.parameters?.retry_after;
+
+// Network failures and Telegram-side 5xx are worth another try; other 4xx are not
+const isTransient = (error) => {
+  if (error.code === 'EFATAL') return true;
+  const status = error.response?.body?.error_code || error.response?.statusCode;
+  return status >= 500;
+};
+
+// Editing a message into the text it already has is not a failure
+const isNotModified = (error) => /message is not modified/i.test(error.message || '');
+
+const addDeadLetter = (job, error) => {
+  deadLetters.push({
+    id: job.id,
+    method: job.method,
+    chatId: job.chat,
+    preview: job.preview,
+    attempts: job.attempts,
+    error: error.message,
+    failedAt: new Date().toISOString(),
+    // Kept out of the API response; used to retry
+    job
+  });
+  if (deadLetters.length > telegramQueueConfig.deadLetterLimit) {
+    deadLetters.shift();
+  }
+};
+
+const handleFailure = (job, error) => {
+  if (isNotModified(error)) {
+    job.resolve(true);
+    return;
+  }
+
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter) {
+    stats.rateLimited++;
+    if (job.chat !== null) {
+      nextCallAt.set(job.chat, Math.max(nextCallAt.get(job.chat) || 0, Date.now() + retryAfter * 1000));
+    }
+  }
+
+  if ((retryAfter || isTransient(error)) && job.attempts < telegramQueueConfig.maxAttempts) {
+    stats.retried++;
+    job.notBefore = Date.now() + (retryAfter
+      ? retryAfter * 1000
+      : telegramQueueConfig.retryBackoffMs * 2 ** (job.attempts - 1));
+    // Back to the front so later calls to the same chat stay behind it
+    pending.unshift(job);
+    console.warn(`⏳ Telegram ${job.method} to ${job.chat ?? '-'} failed (${error.message}), attempt ${job.attempts + 1}/${telegramQueueConfig.maxAttempts} in ${job.notBefore - Date.now()}ms`);
+    return;
+  }
+
+  stats.failed++;
+  stats.lastFailureAt = new Date().toISOString();
+  addDeadLetter(job, error);
+  console.error(`☠️ Telegram ${job.method} to ${job.chat ?? '-'} failed after ${job.attempts} attempt(s): ${error.message}`);
+  job.reject(error);
+};
+
+// Bookkeeping that must follow a successful call, such as storing a card's
+// message id. It lives on the job so a dead letter sent on retry runs it too.
+const runOnSent = async (job, result) => {
+  if (!job.onSent) return;
+  try {
+    await job.onSent(result);
+  } catch (error) {
+    console.error(`❌ Error after Telegram ${job.method} #${job.id}:`, error.message);
+  }
+};
+
+// Run one call and free its chat when it is done
+const runJob = async (job) => {
+  job.attempts++;
+
+  try {
+    const result = await job.run();
+    stats.sent++;
+    await runOnSent(job, result);
+    job.resolve(result);
+  } catch (error) {
+    handleFailure(job, error);
+  } finally {
+    if (job.chat !== null) {
+      nextCallAt.set(job.chat, Math.max(nextCallAt.get(job.chat) || 0, Date.now() + intervalFor(job.chat)));
+      busyChats.delete(job.chat);
+    }
+    running--;
+    processReady();
+  }
+};
+
+// Start every call that may run now. Different chats run side by side, calls
+// to one chat one at a time and in order: a chat whose first call is running
+// or still waiting is skipped as a whole. Calls without a chat (answers to
+// button presses) never wait behind chats.
+const processReady = () => {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  const now = Date.now();
+  const seenChats = new Set();
+  const ready = [];
+
+  for (const job of pending) {
+    if (job.chat === null) {
+      if (job.notBefore <= now) ready.push(job);
+      continue;
+    }
+    if (seenChats.has(job.chat)) continue;
+    seenChats.add(job.chat);
+    if (!busyChats.has(job.chat) && readyAt(job) <= now) ready.push(job);
+  }
+
+  // Claim every call before starting any, as a finished call starts the next ones
+  for (const job of ready) {
+    pending.splice(pending.indexOf(job), 1);
+    if (job.chat !== null) busyChats.add(job.chat);
+    running++;
+  }
+  ready.forEach(runJob);
+
+  schedule();
+};
+
+// Wake up when the next waiting call may run
+const schedule = () => {
+  const waiting = pending.filter(job => job.chat === null || !busyChats.has(job.chat));
+  if (timer || waiting.length === 0) return;
+
+  const wait = Math.max(0, Math.min(...waiting.map(readyAt)) - Date.now());
+  timer = setTimeout(processReady, wait);
+};
+
+const addJob = (job) => {
+  pending.push(job);
+  processReady();
+};
+
+// Queue a Telegram API call. `run` performs it; `chatId` is the chat it posts
+// to (null for calls that do not, such as answering a button press); `onSent`
+// gets the result whenever the call succeeds, also on a dead-letter retry.
+// Resolves with the call's result, or rejects once it has failed for good.
+export const enqueueTelegramCall = (method, chatId, run, { preview = null, onSent = null } = {}) => new Promise((resolve, reject) => {
+  addJob({
+    id: nextJobId++,
+    method,
+    chat: toChatKey(chatId),
+    preview: preview ? String(preview).slice(0, 100) : null,
+    run,
+    onSent,
+    attempts: 0,
+    notBefore: 0,
+    queuedAt: new Date().toISOString(),
+    resolve,
+    reject
+  });
+});
+
+// Queue depth, counters and limits for the stats endpoint
+export const getTelegramQueueStats = () => {
+  const byChat = {};
+  for (const job of pending) {
+    const key = job.chat ?? 'none';
+    byChat[key] = (byChat[key] || 0) + 1;
+  }
+
+  return {
+    depth: pending.length + running,
+    byChat,
+    oldestQueuedAt: pending.length > 0
+      ? pending.reduce((oldest, job) => (job.queuedAt < oldest ? job.queuedAt : oldest), pending[0].queuedAt)
+      : null,
+    ...stats,
+    deadLetters: deadLetters.length,
+    limits: telegramQueueConfig
+  };
+};
+
+// Failed calls, newest first
+export const getDeadLetters = () => deadLetters
+  .map(({ job, ...letter }) => letter)
+  .reverse();
+
+// Put a dead-lettered call back in the queue. Returns false if it is unknown.
+export const retryDeadLetter = (id) => {
+  const index = deadLetters.findIndex(letter => letter.id === id);
+  if (index === -1) return false;
+
+  const [{ job }] = deadLetters.splice(index, 1);
+  addJob({
+    ...job,
+    attempts: 0,
+    notBefore: 0,
+    queuedAt: new Date().toISOString(),
+    // Nobody is waiting on the original promise any more; onSent still runs
+    resolve: () => {},
+    reject: () => {}
+  });
+  return true;
+};
+
+export const clearDeadLetters = () => {
+  const count = deadLetters.length;
+  deadLetters.length = 0;
+  return count;
+};
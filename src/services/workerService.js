@@ -0,0 +1,150 @@
+import { supabase } from '../config/supabase.js';
+import { createHttpError } from '../utils/errors.js';
+
+// Turn Postgres constraint violations into HTTP errors
+const toWorkerError = (error) => {
+  if (error.code === '23505') {
+    return createHttpError(409, 'A worker with this name or Telegram user id already exists');
+  }
+  if (error.code === '23503') {
+    return createHttpError(409, 'Worker has appointments; deactivate the worker instead');
+  }
+  return new Error(`Database error: ${error.message}`);
+};
+
+// Get the roster, ordered by name, optionally only active or inactive workers
+export const getWorkers = async ({ active } = {}) => {
+  try {
+    let query = supabase
+      .from('workers')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (active !== undefined) {
+      query = query.eq('active', active);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error getting workers:', error);
+    throw error;
+  }
+};
+
+// Get one worker by a column value; null when there is none
+const getWorkerBy = async (column, value) => {
+  const { data, error } = await supabase
+    .from('workers')
+    .select('*')
+    .eq(column, value)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data[0] || null;
+};
+
+export const getWorkerById = (id) => getWorkerBy('id', id);
+
+export const getWorkerByName = (name) => getWorkerBy('name', name);
+
+export const getWorkerByTelegramId = (telegramUserId) => getWorkerBy('telegram_user_id', telegramUserId);
+
+// Whether a worker handles a service type. An empty list means every service.
+export const handlesService = (worker, serviceType) => {
+  if (!worker.service_types?.length || !serviceType) return true;
+  return worker.service_types.some(type => type.toLowerCase() === serviceType.toLowerCase());
+};
+
+// Active workers who handle a service type
+export const getWorkersForService = async (serviceType) => {
+  const workers = await getWorkers({ active: true });
+  return workers.filter(worker => handlesService(worker, serviceType));
+};
+
+// Add a worker to the roster
+export const createWorker = async (workerData) => {
+  try {
+    const { data, error } = await supabase
+      .from('workers')
+      .insert([{
+        name: workerData.name,
+        telegram_user_id: workerData.telegram_user_id ?? null,
+        active: workerData.active ?? true,
+        on_call: workerData.on_call ?? false,
+        service_types: workerData.service_types || [],
+        working_hours: workerData.working_hours ?? null,
+        locale: workerData.locale ?? null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw toWorkerError(error);
+    }
+
+    console.log(`👷 Worker added: ${data.name} (#${data.id})`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error creating worker:', error);
+    throw error;
+  }
+};
+
+// Update a worker; returns null when it does not exist
+export const updateWorker = async (id, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('workers')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      throw toWorkerError(error);
+    }
+
+    if (data[0]) {
+      console.log(`👷 Worker updated: ${data[0].name} (#${id})`);
+    }
+    return data[0] || null;
+  } catch (error) {
+    console.error('❌ Error updating worker:', error);
+    throw error;
+  }
+};
+
+// Remove a worker from the roster. Callbacks keep the assigned name.
+export const deleteWorker = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('workers')
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      throw toWorkerError(error);
+    }
+
+    if (data[0]) {
+      console.log(`👷 Worker removed: ${data[0].name} (#${id})`);
+    }
+    return Boolean(data[0]);
+  } catch (error) {
+    console.error('❌ Error deleting worker:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,21 @@
+// Opaque keyset cursors for paging through callbacks by (created_at, id)
+
+// Encode a position in the list. `direction` is 'next' (rows after the
+// position in sort order) or 'prev' (rows before it).
+export const encodeCursor = (row, direction, sortOrder) => {
+  const payload = { c: row.created_at, i: row.id, d: direction, o: sortOrder };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor; returns null when it is malformed
+export const decodeCursor = (cursor) => {
+  try {
+    const { c, i, d, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof c !== 'string' || Number.isNaN(Date.parse(c)) || typeof i !== 'string') return null;
+    if (!['next', 'prev'].includes(d) || !['asc', 'desc'].includes(o)) return null;
+
+    return { createdAt: c, id: i, direction: d, sortOrder: o };
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,9 @@
+// Error helpers
+
+// Create an Error carrying an HTTP status. Routes send `error.message` to the
+// client for these; errors without a status are reported as 500s.
+export const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
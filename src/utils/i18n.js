@@ -0,0 +1,51 @@
+// Translation catalogs (src/locales) and locale-aware date formatting for bot messages
+
+import { ru } from '../locales/ru.js';
+import { en } from '../locales/en.js';
+import { isHtml, joinHtml } from './telegramHtml.js';
+
+const catalogs = { ru, en };
+
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// The complete catalog; missing keys of other locales are taken from it
+const FALLBACK_LOCALE = 'ru';
+
+export const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// Fill "{name}" placeholders. When a value is markup (see telegramHtml.js) the
+// result is markup too, with the rest of the text escaped.
+const interpolate = (template, params) => {
+  const parts = template.split(/\{(\w+)\}/).map((part, i) => {
+    if (i % 2 === 0) return part;
+    return params[part] ?? `{${part}}`;
+  });
+  return parts.some(isHtml) ? joinHtml(parts, '') : parts.join('');
+};
+
+// Text for a catalog key, e.g. translate('en', 'card.repeat', { count: 3 }).
+// Lists and groups of texts are returned as they are.
+export const translate = (locale, key, params = {}) => {
+  const value = lookup(catalogs[locale], key) ?? lookup(catalogs[FALLBACK_LOCALE], key);
+  if (value === undefined) {
+    console.warn(`⚠️ Missing translation: ${key}`);
+    return key;
+  }
+  return typeof value === 'string' ? interpolate(value, params) : value;
+};
+
+// A moment in a locale's format; pass Intl options such as timeZone
+export const formatDateTime = (value, locale, options = {}) => new Intl.DateTimeFormat(
+  translate(locale, 'intlLocale'),
+  options
+).format(new Date(value));
+
+// Translation and date formatting bound to one locale and timezone
+export const createLocalizer = ({ locale, timeZone }) => ({
+  locale,
+  timeZone,
+  t: (key, params) => translate(locale, key, params),
+  formatDateTime: (value, options = {}) => formatDateTime(value, locale, { timeZone, ...options })
+});
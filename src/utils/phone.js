@@ -0,0 +1,39 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Numbers without a country code are read as numbers from this country
+export const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+
+// Parse and validate a phone number as typed by the customer.
+// Returns null when the input is not a valid number.
+export const parsePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  if (!input || typeof input !== 'string') return null;
+
+  const phoneNumber = parsePhoneNumberFromString(input.trim(), defaultCountry);
+  if (!phoneNumber || !phoneNumber.isValid()) return null;
+
+  return {
+    raw: input.trim(),
+    e164: phoneNumber.number,
+    country: phoneNumber.country || null,
+    national: phoneNumber.formatNational(),
+    international: phoneNumber.formatInternational()
+  };
+};
+
+// Normalize a phone number to E.164 (e.g. "+17045550100"), or null if invalid.
+// This is the key used for duplicate detection and rate limiting.
+export const normalizePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  return parsePhone(input, defaultCountry)?.e164 || null;
+};
+
+// Human-readable international format for an E.164 number ("+1 704 555 0100").
+// Telegram clients turn numbers in this format into tappable call links.
+export const formatPhoneForDisplay = (e164) => {
+  if (!e164) return null;
+
+  const phoneNumber = parsePhoneNumberFromString(e164);
+  return phoneNumber ? phoneNumber.formatInternational() : e164;
+};
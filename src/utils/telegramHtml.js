@@ -0,0 +1,61 @@
+// Telegram HTML message helpers
+//
+// Bot messages are sent with parse_mode HTML and built with the `html` tagged
+// template: every interpolated value is escaped unless it is itself markup
+// produced by `html` (or one of the helpers below), so customer-supplied text
+// can never break a message or inject formatting.
+
+class TelegramHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Escape text for Telegram HTML (also safe inside attribute values)
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Markup for one interpolated value; arrays are joined, empty values dropped
+const toMarkup = (value) => {
+  if (value instanceof TelegramHtml) return value.value;
+  if (Array.isArray(value)) return value.map(toMarkup).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+};
+
+export const html = (strings, ...values) => new TelegramHtml(
+  strings.reduce((out, string, i) => out + string + (i < values.length ? toMarkup(values[i]) : ''), '')
+);
+
+// Join markup fragments (and escaped text) with a separator
+export const joinHtml = (parts, separator = '\n') => new TelegramHtml(
+  parts.filter(part => part !== null && part !== undefined && part !== '' && part !== false)
+    .map(toMarkup)
+    .join(toMarkup(separator))
+);
+
+export const isHtml = (value) => value instanceof TelegramHtml;
+
+export const bold = (text) => html`<b>${text}</b>`;
+export const italic = (text) => html`<i>${text}</i>`;
+export const code = (text) => html`<code>${text}</code>`;
+
+// Mention that notifies a Telegram user; plain name without an id
+export const mention = (name, telegramUserId) => (telegramUserId
+  ? html`<a href="tg://user?id=${telegramUserId}">${name}</a>`
+  : html`${name}`);
+
+// Text of a message with the markup removed, for resending without parse_mode
+export const toPlainText = (markup) => String(markup)
+  .replace(/<[^>]*>/g, '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&');
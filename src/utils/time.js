@@ -0,0 +1,134 @@
+// Helpers for wall-clock times ("09:00-18:00") in a given IANA timezone
+
+// Check that a timezone name is known to Intl
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Matches "HH:MM-HH:MM" with 24-hour times; the end may be 24:00 (midnight)
+export const TIME_RANGE_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-(?!24:(?!00))([01]\d|2[0-3]|24):([0-5]\d)$/;
+
+// Weekday ('mon', ...) and minutes since midnight of a moment in a timezone
+export const getLocalClock = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    weekday: parts.weekday.slice(0, 3).toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+// "09:00-18:00" -> { start: 540, end: 1080 } in minutes, or null if malformed
+export const parseTimeRange = (range) => {
+  const match = TIME_RANGE_PATTERN.exec(range || '');
+  if (!match) return null;
+
+  return {
+    start: parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+    end: parseInt(match[3], 10) * 60 + parseInt(match[4], 10)
+  };
+};
+
+// Whether minutes since midnight fall in a range; ranges past midnight
+// ("22:00-06:00") wrap around
+export const isInTimeRange = (minutes, { start, end }) => (start <= end
+  ? minutes >= start && minutes < end
+  : minutes >= start || minutes < end);
+
+// Whether a moment falls in weekly hours such as
+// { "timezone": "America/New_York", "mon": "09:00-18:00", ... }; days that are
+// missing are off, and a range may run past midnight into the next day
+export const isWithinWeeklyHours = (hours, date = new Date()) => {
+  const { weekday, minutes } = getLocalClock(date, hours.timezone || 'UTC');
+  const today = parseTimeRange(hours[weekday]);
+  if (today && isInTimeRange(minutes, today)) return true;
+
+  // A range that started yesterday and runs past midnight
+  const yesterday = parseTimeRange(hours[WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7]]);
+  return Boolean(yesterday && yesterday.start > yesterday.end && minutes < yesterday.end);
+};
+
+// Matches "HH:MM" with 24-hour times
+export const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Calendar date ('YYYY-MM-DD') of a moment in a timezone
+export const getLocalDate = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// Offset of a timezone from UTC at a moment, in milliseconds
+const getTimezoneOffset = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, parseInt(part.value, 10)])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The moment a local date and time ("HH:MM") happen in a timezone
+export const zonedTimeToDate = (localDate, clockTime, timezone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = clockTime.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct twice so times next to a DST change land on the right offset
+  let result = guess - getTimezoneOffset(new Date(guess), timezone);
+  result = guess - getTimezoneOffset(new Date(result), timezone);
+  return new Date(result);
+};
+
+const addDays = (localDate, days) => new Date(Date.parse(`${localDate}T00:00:00Z`) + days * 86400000)
+  .toISOString()
+  .slice(0, 10);
+
+// Absolute start and end of a local time window { from, to, date?, timezone }.
+// Without a date the next window that has not ended yet is used; a window
+// whose end is before its start runs past midnight.
+export const resolveTimeWindow = ({ from, to, date, timezone }, now = new Date()) => {
+  const build = (startDate) => {
+    const endDate = to <= from ? addDays(startDate, 1) : startDate;
+    return {
+      start: zonedTimeToDate(startDate, from, timezone),
+      end: zonedTimeToDate(endDate, to, timezone)
+    };
+  };
+
+  if (date) return build(date);
+
+  const today = getLocalDate(now, timezone);
+  // A window past midnight may have started yesterday and still be open
+  const candidates = [build(addDays(today, -1)), build(today), build(addDays(today, 1))];
+  return candidates.find(window => window.end > now);
+};